@@ -1,11 +1,120 @@
-/* eslint-disable global-require, import/no-dynamic-require */
+/* eslint-disable global-require, import/no-dynamic-require, no-console */
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const merge = require('webpack-merge');
 const WebpackNodeUtilsRunner = require('./runner');
 
 const rootPath = process.cwd();
+/**
+ * The options the methods that support a named-options signature can receive, with
+ * the types each option can have and whether or not they're required.
+ * @type {Object}
+ * @ignore
+ */
+const namedOptions = {
+  config: {
+    directory: { types: ['string', 'object'], required: true },
+    target: { types: ['string'], required: true },
+    type: { types: ['string'], required: true },
+    useHash: { types: ['boolean', 'string', 'function', 'object'] },
+    params: { types: ['object'] },
+    fn: { types: ['string'] },
+  },
+  configs: {
+    directory: { types: ['string', 'object'], required: true },
+    targets: { types: ['string', 'array'], required: true },
+    type: { types: ['string'], required: true },
+    useHash: { types: ['boolean', 'string', 'function', 'object'] },
+    params: { types: ['object'] },
+    fn: { types: ['string'] },
+  },
+  externals: {
+    extras: { types: ['object', 'array'] },
+    addDev: { types: ['boolean'] },
+    defaults: { types: ['array'] },
+    ignore: { types: ['array'] },
+    subPaths: { types: ['boolean'] },
+    peer: { types: ['boolean'] },
+    optional: { types: ['boolean'] },
+    workspaces: { types: ['boolean'] },
+    type: { types: ['string'] },
+    types: { types: ['object'] },
+    installed: { types: ['boolean', 'string'] },
+    validate: { types: ['boolean', 'function'] },
+  },
+};
+namedOptions.configAsync = namedOptions.config;
+/**
+ * @typedef {Object} WebpackNodeUtilsHashOptions
+ * @property {String|Function} [strategy='timestamp'] How the hash should be generated:
+ *                                                    `timestamp`, for the current
+ *                                                    time; `git`, for the SHA of the
+ *                                                    commit the project is on;
+ *                                                    `version`, for a hash of the
+ *                                                    version on the `package.json`;
+ *                                                    or a function that returns it.
+ * @property {Number}          [length]               The number of characters the
+ *                                                    hash should have. If not
+ *                                                    specified, the hash will be
+ *                                                    used as it was generated.
+ */
+
+/**
+ * @typedef {Object} WebpackNodeUtilsExternalsOptions
+ * @property {Boolean} [subPaths=false]   Whether or not the externals should match
+ *                                        the sub paths of the packages (like
+ *                                        `lodash/fp`). When `true`, the method
+ *                                        returns a function Webpack can use as
+ *                                        `externals`, instead of a dictionary.
+ * @property {Boolean} [peer=false]       Whether or not to include the
+ *                                        `peerDependencies`.
+ * @property {Boolean} [optional=false]   Whether or not to include the
+ *                                        `optionalDependencies`.
+ * @property {Boolean} [workspaces=false] Whether or not to include the packages of
+ *                                        the `workspaces` on the `package.json`,
+ *                                        and their dependencies.
+ * @property {String}  [type='commonjs']  The type of the externals: `commonjs`,
+ *                                        `commonjs2`, `node-commonjs`, `amd`, `umd`,
+ *                                        `module` or `import`.
+ * @property {Object}  [types={}]         A dictionary with the types for specific
+ *                                        packages, in case they need to be different
+ *                                        from the `type`.
+ * @property {Boolean|String} [installed=false] Whether or not to include all the
+ *                                        packages installed on the `node_modules`
+ *                                        directory, even if they're not declared on
+ *                                        the `package.json` (the `devDependencies`
+ *                                        are still excluded if `addDev` is not
+ *                                        `true`). It can also be the path to the
+ *                                        directory, relative to the project root.
+ * @property {Boolean|Function} [validate=false] Whether or not to warn about the
+ *                                        dependencies that are declared but not
+ *                                        installed, and the packages that are
+ *                                        installed but not declared (nor required by
+ *                                        other installed packages). The warnings are
+ *                                        logged with `console.warn`, but it can also
+ *                                        be a function that receives them.
+ */
+
+/**
+ * @typedef {Object} WebpackNodeUtilsDirectoryOptions
+ * @property {String} path                          The directory where the
+ *                                                  configurations are located.
+ * @property {Array}  [patterns=['[target].[type]']] The templates for the names of the
+ *                                                  configuration files, relative to
+ *                                                  the directory. They can use the
+ *                                                  `[target]` and `[type]`
+ *                                                  placeholders, and they'll be tried
+ *                                                  in order.
+ * @property {Array}  [extensions=['.js']]          The extensions of the configuration
+ *                                                  files, in the order they'll be
+ *                                                  tried. Besides `.js`, the files can
+ *                                                  be `.cjs`, `.mjs` (if the Node
+ *                                                  version can `require` them) or
+ *                                                  `.json`.
+ */
+
 /**
  * The module's core: A set of static methods that allows you to manage multiple Webpack
  * configuration files, generate the list of external dependencies from your
@@ -45,13 +154,32 @@ class WebpackNodeUtils {
    * // on your project, and based on environment variables, you decide which target
    * // gets build:
    * webpackNodeUtils.config('.webpack', process.env.TARGET, process.env.NODE_ENV);
+   * // If your files are on directories for each target, like `.webpack/back/dev.js`:
+   * webpackNodeUtils.config({
+   *   path: '.webpack',
+   *   patterns: ['[target]/[type]'],
+   * }, 'back', 'dev');
+   * // Instead of the positional parameters, you can also use a dictionary with their
+   * // names:
+   * webpackNodeUtils.config({
+   *   directory: '.webpack',
+   *   target: 'back',
+   *   type: 'dev',
+   *   fn: 'library',
+   * });
    *
-   * @param  {String}   directory The directory where your configurations are located.
+   * @param  {String|WebpackNodeUtilsDirectoryOptions} directory The directory where
+   *                              your configurations are located, or a dictionary with
+   *                              the directory and the options to find the files.
    * @param  {String}   target    The name of your configuration.
    * @param  {String}   type      The type or environment of the configuration file.
-   * @param  {Boolean}  useHash   Optional. If `true`, it will generate a timestamp
-   *                              that you can use as a hash string when generating
-   *                              your files.
+   * @param  {Boolean|String|Function|WebpackNodeUtilsHashOptions} useHash Optional.
+   *                              If `true`, it will generate a timestamp that you can
+   *                              use as a hash string when generating your files. It
+   *                              can also be the name of a strategy to generate the
+   *                              hash (`timestamp`, `git` or `version`), a function
+   *                              that returns it, or a dictionary with the strategy
+   *                              and the length of the hash.
    * @param  {Object}   params    Optional. A dictionary of parameters that are going
    *                              to be sent to every configuration file.
    * @param  {Function} fn        Optional. All the configuration files, by default,
@@ -60,19 +188,150 @@ class WebpackNodeUtils {
    *                              that has different variations of that
    *                              configuration, like a commonjs version, you can use
    *                              this parameter to specify the name of the exported
-   *                              function that has that configuration.
+   *                              function that has that configuration. The files the
+   *                              configuration extends will also use it, if they
+   *                              export it.
    * @return {Object} A Webpack configuration object.
+   * @throws {Error} If a configuration file doesn't exist, if it doesn't export the
+   *                 variation, if there's a circular inheritance, if the hash can't
+   *                 be generated or if the named options are invalid.
    */
   static config(directory, target, type, useHash, params = {}, fn = '') {
-    const hash = useHash ? Date.now() : '';
-    const hashStr = useHash ? `.${hash}` : '';
-    const newParams = Object.assign({
-      hash,
-      hashStr,
-    }, params);
+    if (this._isNamedOptions(directory, target)) {
+      const named = this._validateNamedOptions('config', directory);
+      return this.config(
+        named.directory,
+        named.target,
+        named.type,
+        named.useHash,
+        named.params,
+        named.fn
+      );
+    }
+
+    const options = this._normalizeDirectory(directory);
+    const configName = this._findConfigName(options, target, type);
+    return this._loadConfig(options, configName, this._getParams(useHash, params), fn);
+  }
+  /**
+   * Generate a list of Webpack configuration objects for multiple targets, so
+   * Webpack can build them at the same time, using its _multi-compiler_. All the
+   * configurations receive the same parameters, so if `useHash` is `true`, all of
+   * them will use the same hash.
+   * @example
+   * // Build the frontend and the backend.
+   * webpackNodeUtils.configs('.webpack', ['front', 'back'], 'prod');
+   * // Build all the targets that have a configuration for production.
+   * webpackNodeUtils.configs('.webpack', '*', 'prod');
+   * // Build the targets that start with `back`.
+   * webpackNodeUtils.configs('.webpack', 'back*', 'prod');
+   * // Using a dictionary with the names of the parameters.
+   * webpackNodeUtils.configs({
+   *   directory: '.webpack',
+   *   targets: 'back*',
+   *   type: 'prod',
+   * });
+   *
+   * @param  {String|WebpackNodeUtilsDirectoryOptions} directory The directory where
+   *                                  your configurations are located, or a dictionary
+   *                                  with the directory and the options to find the
+   *                                  files.
+   * @param  {Array|String} targets   The names of your configurations. They can also
+   *                                  be glob patterns (with `*` and `?`), and a single
+   *                                  pattern can be sent as a string.
+   * @param  {String}       type      The type or environment of the configuration
+   *                                  files.
+   * @param  {Boolean|String|Function|WebpackNodeUtilsHashOptions} useHash Optional.
+   *                                  If `true`, it will generate a timestamp that you
+   *                                  can use as a hash string when generating your
+   *                                  files. It can also be the name of a strategy to
+   *                                  generate the hash (`timestamp`, `git` or
+   *                                  `version`), a function that returns it, or a
+   *                                  dictionary with the strategy and the length of
+   *                                  the hash.
+   * @param  {Object}       params    Optional. A dictionary of parameters that are
+   *                                  going to be sent to every configuration file.
+   * @param  {Function}     fn        Optional. The name of the exported function of a
+   *                                  variation of the configurations.
+   * @return {Array} A list of Webpack configuration objects.
+   * @throws {Error} If the patterns don't match any configuration file, or if the
+   *                 named options are invalid.
+   */
+  static configs(directory, targets, type, useHash, params = {}, fn = '') {
+    if (this._isNamedOptions(directory, targets)) {
+      const named = this._validateNamedOptions('configs', directory);
+      return this.configs(
+        named.directory,
+        named.targets,
+        named.type,
+        named.useHash,
+        named.params,
+        named.fn
+      );
+    }
 
-    const configName = `${target}.${type}`;
-    return this._loadConfig(directory, configName, newParams, fn);
+    const options = this._normalizeDirectory(directory);
+    const newParams = this._getParams(useHash, params);
+    return this._findTargets(options, targets, type)
+    .map((target) => this._loadConfig(
+      options,
+      this._findConfigName(options, target, type),
+      newParams,
+      fn
+    ));
+  }
+  /**
+   * Generate a Webpack configuration object using configuration files that may
+   * export functions that return promises, like when they need to read something
+   * before generating the configuration. It works exactly as the `config`
+   * method, but it returns a promise, which Webpack can use as configuration.
+   * @example
+   * // File: .webpack/back.prod.js
+   * module.exports = (params) => readSecrets().then((secrets) => ({
+   *   extends: 'base',
+   *   ...
+   * }));
+   *
+   * // File: webpack.config.js
+   * module.exports = webpackNodeUtils.configAsync('.webpack', 'back', 'prod');
+   *
+   * @param  {String|WebpackNodeUtilsDirectoryOptions} directory The directory where
+   *                              your configurations are located, or a dictionary with
+   *                              the directory and the options to find the files.
+   * @param  {String}   target    The name of your configuration.
+   * @param  {String}   type      The type or environment of the configuration file.
+   * @param  {Boolean|String|Function|WebpackNodeUtilsHashOptions} useHash Optional.
+   *                              If `true`, it will generate a timestamp that you can
+   *                              use as a hash string when generating your files. It
+   *                              can also be the name of a strategy to generate the
+   *                              hash (`timestamp`, `git` or `version`), a function
+   *                              that returns it, or a dictionary with the strategy
+   *                              and the length of the hash.
+   * @param  {Object}   params    Optional. A dictionary of parameters that are going
+   *                              to be sent to every configuration file.
+   * @param  {Function} fn        Optional. The name of the exported function of a
+   *                              variation of the configuration.
+   * @return {Promise<Object,Error>} A promise with the Webpack configuration object.
+   */
+  static configAsync(directory, target, type, useHash, params = {}, fn = '') {
+    return new Promise((resolve) => {
+      if (this._isNamedOptions(directory, target)) {
+        const named = this._validateNamedOptions('configAsync', directory);
+        resolve(this.configAsync(
+          named.directory,
+          named.target,
+          named.type,
+          named.useHash,
+          named.params,
+          named.fn
+        ));
+        return;
+      }
+
+      const options = this._normalizeDirectory(directory);
+      const configName = this._findConfigName(options, target, type);
+      resolve(this._loadConfigAsync(options, configName, this._getParams(useHash, params), fn));
+    });
   }
   /**
    * This is a utility method for when you are building Node apps using Webpack. By
@@ -96,11 +355,42 @@ class WebpackNodeUtils {
    * webpackNodeUtils.externals({}, false, ['colors/safe']);
    * // Set some dependencies to ignore
    * webpackNodeUtils.externals({}, false, [], ['node-fetch']);
+   * // Match the sub paths of the dependencies, like `lodash/fp`
+   * webpackNodeUtils.externals({}, false, undefined, undefined, { subPaths: true });
+   * // Bundle the packages of an organization and anything ending with `.css`
+   * webpackNodeUtils.externals({}, false, undefined, ['@my-org/*', /\.css$/]);
+   * // Define as external any `require` for a path inside `config`
+   * webpackNodeUtils.externals([(request) => request.startsWith('config/')]);
+   * // Include everything on `node_modules` and warn about undeclared packages
+   * webpackNodeUtils.externals({}, false, undefined, undefined, {
+   *   installed: true,
+   *   validate: true,
+   * });
+   * // Generate the externals for a `commonjs2` library, except for an ESM package
+   * webpackNodeUtils.externals({}, false, undefined, undefined, {
+   *   type: 'commonjs2',
+   *   types: { 'node-fetch': 'import' },
+   * });
+   * // Use a single dictionary with the names of the parameters and the options
+   * webpackNodeUtils.externals({
+   *   addDev: true,
+   *   ignore: ['node-fetch'],
+   *   subPaths: true,
+   * });
    *
-   * @param  {Object}  extras   Optional. A dictionary with the name and path for a
-   *                            custom dependency that you want Webpack to use as
+   * @param  {Object|Array} extras Optional. A dictionary with the name and path for
+   *                            a custom dependency that you want Webpack to use as
    *                            external, allowing you do a `require` inside the
-   *                            bundle in order to access it.
+   *                            bundle in order to access it. It can also be a list
+   *                            of names, glob patterns, regular expressions or
+   *                            functions that receive the name of the `require` and
+   *                            return whether or not it's an external; if the list
+   *                            has anything besides names, the method will return a
+   *                            function instead of a dictionary. If it's the only
+   *                            parameter and it has the name of any of the parameters
+   *                            or the options (like `addDev` or `subPaths`), or a
+   *                            value that is not a string, it will be used as a
+   *                            dictionary of named options.
    * @param  {Boolean} addDev   Optional. Whether the `devDependencies` should be
    *                            defined as externals too.
    * @param  {Array}   defaults Optional. A list of dependencies that should be
@@ -110,16 +400,88 @@ class WebpackNodeUtils {
    *                            `colors/safe`, so it doesn't define global variables.
    * @param  {Array}   ignore   Optional. A list of dependencies that shouldn't be
    *                            defined as externals, even if they are on your
-   *                            `package.json`.
-   * @return {Object} A dictionary with the external dependencies. The format Webpack
-   * expects is `name: 'commonjs [path|name]` (path for custom dependencies and name
-   * for npm dependencies).
+   *                            `package.json`. Besides names, it can have glob
+   *                            patterns, regular expressions and functions that
+   *                            receive the name of a dependency and return whether
+   *                            or not it should be ignored.
+   * @param  {WebpackNodeUtilsExternalsOptions} options Optional. Extra options to
+   *                            define which dependencies should be included and how
+   *                            they should be matched.
+   * @return {Object|Function} A dictionary with the external dependencies. The format
+   * Webpack expects is `name: '[type] [path|name]` (path for custom dependencies and
+   * name for npm dependencies), or a dictionary with the names for every type when
+   * the type is `umd`. If the `subPaths` option is enabled, or if the `extras` have
+   * patterns, it will be a function that Webpack calls for every `require`.
+   * @throws {Error} If the `extras` or the list of dependencies to ignore have an
+   *                 invalid type, if any of the types is not supported or if the
+   *                 named options are invalid.
+   */
+  static externals(extras, addDev, defaults, ignore, options) {
+    if (
+      this._isNamedOptions(extras, addDev) &&
+      [defaults, ignore, options].every((arg) => typeof arg === 'undefined') &&
+      Object.keys(extras).some((key) => (
+        typeof extras[key] !== 'string' ||
+        Object.prototype.hasOwnProperty.call(namedOptions.externals, key)
+      ))
+    ) {
+      const named = this._validateNamedOptions('externals', extras);
+      return this.externals(
+        named.extras,
+        named.addDev,
+        named.defaults,
+        named.ignore,
+        Object.assign({}, named, {
+          extras: undefined,
+          addDev: undefined,
+          defaults: undefined,
+          ignore: undefined,
+        })
+      );
+    }
+
+    return this._createExternals(extras, addDev, defaults, ignore, options || {});
+  }
+  /**
+   * Generates the externals for the `externals` method, after it checks if it
+   * received named options.
+   * @param  {Object|Array} extras   The custom dependencies.
+   * @param  {Boolean}      addDev   Whether the `devDependencies` should be included.
+   * @param  {?Array}       defaults The dependencies to always include.
+   * @param  {?Array}       ignore   The dependencies to ignore.
+   * @param  {WebpackNodeUtilsExternalsOptions} options The extra options.
+   * @return {Object|Function}
+   * @ignore
    */
-  static externals(extras, addDev, defaults, ignore) {
+  static _createExternals(extras, addDev, defaults, ignore, options) {
     const result = {};
+    const getType = this._createExternalsTypeGetter(options);
     const packageJSON = this.require('package.json');
-    const deps = Object.keys(packageJSON.dependencies);
-    const devDeps = addDev ? Object.keys(packageJSON.devDependencies) : [];
+    const depsOptions = Object.assign({}, options, { dev: addDev });
+    let deps = this._getDependencies(packageJSON, depsOptions);
+    if (options.workspaces) {
+      this._getWorkspaces(packageJSON).forEach((workspace) => {
+        deps = deps
+        .concat(workspace.name)
+        .concat(this._getDependencies(workspace, depsOptions));
+      });
+    }
+
+    if (options.installed || options.validate) {
+      const installed = this._getInstalledPackages(
+        typeof options.installed === 'string' ? options.installed : 'node_modules'
+      );
+      if (options.validate) {
+        this._validateInstalledPackages(packageJSON, deps, installed, options.validate);
+      }
+
+      if (options.installed) {
+        const devDeps = addDev ? [] : Object.keys(packageJSON.devDependencies || {});
+        deps = deps.concat(installed
+        .map((pckg) => pckg.name)
+        .filter((name) => devDeps.indexOf(name) === -1 || deps.indexOf(name) > -1));
+      }
+    }
 
     const defaultsDeps = defaults || [
       'webpack-node-utils',
@@ -132,19 +494,51 @@ class WebpackNodeUtils {
       'react-tap-event-plugin',
     ];
 
-    defaultsDeps.concat(deps).concat(devDeps).forEach((pckg) => {
-      if (ignoreDeps.indexOf(pckg) === -1) {
-        result[pckg] = `commonjs ${pckg}`;
+    const isIgnored = this._createMatcher(
+      ignoreDeps,
+      'The list of dependencies to ignore can only have strings, regular expressions ' +
+      'and functions'
+    );
+    defaultsDeps.concat(deps).forEach((pckg) => {
+      if (!isIgnored(pckg)) {
+        result[pckg] = this._formatExternal(pckg, pckg, getType(pckg));
       }
     });
 
-    if (extras) {
+    const packages = Object.keys(result);
+    const extrasError = 'The extras must be a dictionary of names and paths, or a list of ' +
+      'strings, regular expressions and functions';
+    let isExtra = null;
+    if (Array.isArray(extras)) {
+      const names = extras.filter((item) => typeof item === 'string' && !/[*?]/.test(item));
+      const patterns = extras.filter((item) => names.indexOf(item) === -1);
+      names.forEach((name) => {
+        result[name] = this._formatExternal(name, name, getType(name));
+      });
+
+      if (patterns.length) {
+        isExtra = this._createMatcher(patterns, extrasError);
+      }
+    } else if (extras && (typeof extras !== 'object' || extras instanceof RegExp)) {
+      throw new Error(extrasError);
+    } else if (extras) {
+      if (Object.keys(extras).some((name) => typeof extras[name] !== 'string')) {
+        throw new Error(extrasError);
+      }
+
       Object.keys(extras).forEach((name) => {
-        result[name] = `commonjs ${extras[name]}`;
+        result[name] = this._formatExternal(name, extras[name], getType(name));
       });
     }
 
-    return result;
+    return options.subPaths || isExtra ?
+      this._createExternalsFunction(result, {
+        packages: options.subPaths ? packages : [],
+        isIgnored,
+        isExtra,
+        getType,
+      }) :
+      result;
   }
   /**
    * This is the method you would use on runtime to do a dynamic `require`. Webpack
@@ -176,13 +570,97 @@ class WebpackNodeUtils {
       encoding || 'utf-8'
     );
   }
+  /**
+   * Checks if the first parameter of a method is a dictionary of named options: it
+   * needs to be an object (not a list nor a regular expression) and the method
+   * shouldn't have received a second parameter.
+   * @param  {*} first  The first parameter the method received.
+   * @param  {*} second The second parameter the method received.
+   * @return {Boolean}
+   * @ignore
+   */
+  static _isNamedOptions(first, second) {
+    return typeof second === 'undefined' && this._getOptionType(first) === 'object';
+  }
+  /**
+   * Validates a dictionary of named options for a method, using the definitions on
+   * the `namedOptions` dictionary.
+   * @param  {String} method  The name of the method.
+   * @param  {Object} options The options the method received.
+   * @return {Object} The same options, if they're valid.
+   * @throws {Error} If there's an unknown option, if a required option is missing or
+   *                 if an option has an invalid type.
+   * @ignore
+   */
+  static _validateNamedOptions(method, options) {
+    const definitions = namedOptions[method];
+    const names = Object.keys(definitions);
+    const typesNames = {
+      string: 'a string',
+      boolean: 'a boolean',
+      function: 'a function',
+      object: 'a dictionary',
+      array: 'a list',
+    };
+    Object.keys(options).forEach((name) => {
+      if (!Object.prototype.hasOwnProperty.call(definitions, name)) {
+        throw new Error(
+          `Unknown option '${name}' for '${method}'. The available options are: ` +
+          `${names.join(', ')}`
+        );
+      }
+    });
+
+    names.forEach((name) => {
+      const { types, required } = definitions[name];
+      const value = options[name];
+      if (typeof value === 'undefined') {
+        if (required) {
+          throw new Error(`The option '${name}' for '${method}' is required`);
+        }
+      } else if (types.indexOf(this._getOptionType(value)) === -1) {
+        const expected = types.map((type) => typesNames[type]);
+        const last = expected.pop();
+        const description = expected.length ?
+          `${expected.join(', ')} or ${last}` :
+          last;
+        throw new Error(`The option '${name}' for '${method}' must be ${description}`);
+      }
+    });
+
+    return options;
+  }
+  /**
+   * Gets the type of a value for the validation of the named options, which, besides
+   * the ones `typeof` returns, can be `array`, `regexp` and `null`.
+   * @param  {*} value The value to check.
+   * @return {String}
+   * @ignore
+   */
+  static _getOptionType(value) {
+    let result;
+    if (Array.isArray(value)) {
+      result = 'array';
+    } else if (value instanceof RegExp) {
+      result = 'regexp';
+    } else if (value === null) {
+      result = 'null';
+    } else {
+      result = typeof value;
+    }
+
+    return result;
+  }
   /**
    * This is the method that loads the Webpack configuration files. After requiring
    * the file, it calls the function that returns the configuration object and send
    * the custom parameters. If the configuration is meant to be an extension of
-   * another configuration, it calls itself in order to get that configuration and
-   * then merges both of them.
-   * @param  {String}   directory The directory where your configurations are located.
+   * another configuration (or a list of them), it calls itself in order to get
+   * those configurations, merges them in order and then merges the configuration
+   * on top, using its `mergeStrategy`, if it has one.
+   * @param  {WebpackNodeUtilsDirectoryOptions} directory The directory where your
+   *                              configurations are located and the options to find
+   *                              the files.
    * @param  {String}   name      The name of the configuration file.
    * @param  {Object}   params    A dictionary of custom parameters that are going to
    *                              be sent to the function that generates the
@@ -191,21 +669,813 @@ class WebpackNodeUtils {
    *                              function the files export, but if the file has
    *                              multiple variations of the same configuration, this
    *                              will be used to specify the name of the exported
-   *                              function that needs to be used.
+   *                              function that needs to be used. The configurations
+   *                              being extended will also use it, if they export it.
+   * @param  {Array}    chain     Optional. The names of the configurations that
+   *                              extend this one, to detect circular references.
    * @return {Object} A Webpack configuration object.
+   * @throws {Error} If the file doesn't exist, if it doesn't export the required
+   *                 function, if there's a circular reference or if the function
+   *                 returns a promise.
+   * @ignore
+   */
+  static _loadConfig(directory, name, params, fn, chain = []) {
+    const { factory, configPath } = this._getConfigFactory(directory, name, fn, chain);
+    const config = factory(params);
+    if (config && typeof config.then === 'function') {
+      throw new Error(
+        `The configuration file '${configPath}' returned a promise, use 'configAsync' instead`
+      );
+    }
+
+    const baseConfigs = this._getConfigParents(config)
+    .map((parent) => this._loadConfig(directory, parent, params, fn, chain.concat(name)));
+    return this._extendConfig(config, baseConfigs, name);
+  }
+  /**
+   * This is the asynchronous version of `_loadConfig`: the functions the files export
+   * can return promises, and the configurations are merged once all of them are
+   * resolved.
+   * @param  {WebpackNodeUtilsDirectoryOptions} directory The directory where your
+   *                              configurations are located and the options to find
+   *                              the files.
+   * @param  {String}   name      The name of the configuration file.
+   * @param  {Object}   params    A dictionary of custom parameters that are going to
+   *                              be sent to the function that generates the
+   *                              configuration object.
+   * @param  {Function} fn        Optional. The name of the exported function of a
+   *                              variation of the configuration.
+   * @param  {Array}    chain     Optional. The names of the configurations that
+   *                              extend this one, to detect circular references.
+   * @return {Promise<Object,Error>}
+   * @ignore
+   */
+  static _loadConfigAsync(directory, name, params, fn, chain = []) {
+    return new Promise((resolve) => {
+      resolve(this._getConfigFactory(directory, name, fn, chain).factory(params));
+    })
+    .then((config) => Promise.all(
+      this._getConfigParents(config)
+      .map((parent) => this._loadConfigAsync(directory, parent, params, fn, chain.concat(name)))
+    )
+    .then((baseConfigs) => this._extendConfig(config, baseConfigs, name)));
+  }
+  /**
+   * Finds a configuration file and gets the function that generates the
+   * configuration: the one for the variation, if specified and the file exports it,
+   * or the one the file exports by default. If the file doesn't export a function
+   * (like a JSON file), the function will just return what the file exports.
+   * @param  {WebpackNodeUtilsDirectoryOptions} directory The directory where your
+   *                              configurations are located and the options to find
+   *                              the files.
+   * @param  {String}   name      The name of the configuration file.
+   * @param  {Function} fn        Optional. The name of the exported function of a
+   *                              variation of the configuration.
+   * @param  {Array}    chain     The names of the configurations that extend this one.
+   * @return {Object} A dictionary with the `factory` function and the `configPath`.
+   * @throws {Error} If the file doesn't exist, if it doesn't export the required
+   *                 function or if there's a circular reference.
    * @ignore
    */
-  static _loadConfig(directory, name, params, fn) {
-    const configPath = path.join(directory, `${name}.js`);
+  static _getConfigFactory(directory, name, fn, chain) {
+    if (chain.indexOf(name) > -1) {
+      const circle = chain.concat(name).join(' -> ');
+      throw new Error(`Circular inheritance on the configurations: ${circle}`);
+    }
+
+    const paths = this._getConfigPaths(directory, name);
+    const configPath = paths.find((file) => fs.existsSync(path.join(rootPath, file)));
+    if (!configPath) {
+      // The top level files are validated before, so it can only be one being extended.
+      const parent = chain[chain.length - 1];
+      throw new Error(
+        `The configuration file '${name}', extended by '${parent}', doesn't exist. ` +
+        `These are the paths that were tried: ${paths.join(', ')}`
+      );
+    }
+
     const configModule = this.require(configPath);
-    let config = fn ? configModule[fn](params) : configModule(params);
-    if (config.extends) {
-      const baseConfig = this._loadConfig(directory, config.extends, params);
-      delete config.extends;
-      config = merge(baseConfig, config);
+    const defaultExport = typeof configModule === 'function' || !configModule.default ?
+      configModule :
+      configModule.default;
+    let factory;
+    if (fn && typeof configModule[fn] === 'function') {
+      factory = configModule[fn];
+    } else if (fn && !chain.length) {
+      throw new Error(`The configuration file '${configPath}' doesn't export '${fn}'`);
+    } else if (typeof defaultExport === 'function') {
+      factory = defaultExport;
+    } else {
+      factory = () => defaultExport;
     }
 
-    return config;
+    return {
+      factory,
+      configPath,
+    };
+  }
+  /**
+   * Generates the list of paths where a configuration file can be, using the
+   * extensions of the directory options.
+   * @param  {WebpackNodeUtilsDirectoryOptions} directory The directory where your
+   *                              configurations are located and the options to find
+   *                              the files.
+   * @param  {String} name The name of the configuration file.
+   * @return {Array}
+   * @ignore
+   */
+  static _getConfigPaths(directory, name) {
+    return directory.extensions.map((ext) => path.join(directory.path, `${name}${ext}`));
+  }
+  /**
+   * Finds the name of the configuration file for a target and a type, using the
+   * patterns of the directory options.
+   * @param  {WebpackNodeUtilsDirectoryOptions} directory The directory where your
+   *                              configurations are located and the options to find
+   *                              the files.
+   * @param  {String} target The name of the configuration.
+   * @param  {String} type   The type or environment of the configuration.
+   * @return {String}
+   * @throws {Error} If there's no file for any of the patterns.
+   * @ignore
+   */
+  static _findConfigName(directory, target, type) {
+    const names = directory.patterns.map((pattern) => pattern
+    .replace(/\[target\]/g, target)
+    .replace(/\[type\]/g, type));
+    const result = names.find((name) => this._getConfigPaths(directory, name)
+    .some((file) => fs.existsSync(path.join(rootPath, file))));
+    if (!result) {
+      const paths = names.reduce(
+        (acc, name) => acc.concat(this._getConfigPaths(directory, name)),
+        []
+      );
+      throw new Error(
+        `There's no '${type}' configuration file for '${target}'. These are the paths ` +
+        `that were tried: ${paths.join(', ')}`
+      );
+    }
+
+    return result;
+  }
+  /**
+   * Validates and normalizes the directory the methods receive, which can be a path
+   * or a dictionary with the path and the options to find the files.
+   * @param  {String|WebpackNodeUtilsDirectoryOptions} directory The directory.
+   * @return {WebpackNodeUtilsDirectoryOptions}
+   * @throws {Error} If the directory or any of its options is invalid.
+   * @ignore
+   */
+  static _normalizeDirectory(directory) {
+    const result = Object.assign(
+      {
+        patterns: ['[target].[type]'],
+        extensions: ['.js'],
+      },
+      typeof directory === 'string' ? { path: directory } : directory
+    );
+    const isList = (value, validate) => (
+      Array.isArray(value) &&
+      value.length &&
+      value.every((item) => typeof item === 'string' && validate(item))
+    );
+
+    if (typeof result.path !== 'string') {
+      throw new Error('The configurations directory must be a string');
+    } else if (!isList(result.patterns, (item) => item.indexOf('[target]') > -1)) {
+      throw new Error(
+        'The configurations patterns must be a list of strings with a \'[target]\' ' +
+        'placeholder'
+      );
+    } else if (!isList(result.extensions, (item) => /^\.\w+$/.test(item))) {
+      throw new Error(
+        'The configurations extensions must be a list of extensions, like \'.js\''
+      );
+    }
+
+    return result;
+  }
+  /**
+   * Gets the list of configurations a configuration extends.
+   * @param  {Object} config The configuration object.
+   * @return {Array}
+   * @ignore
+   */
+  static _getConfigParents(config) {
+    return config.extends ? [].concat(config.extends) : [];
+  }
+  /**
+   * Merges the configurations a configuration extends, in order, and then merges
+   * the configuration on top of them, using its `mergeStrategy`. The `extends` and
+   * `mergeStrategy` properties are removed from the result.
+   * @param  {Object} config      The configuration object.
+   * @param  {Array}  baseConfigs The configurations it extends.
+   * @param  {String} name        The name of the configuration file.
+   * @return {Object} A Webpack configuration object.
+   * @ignore
+   */
+  static _extendConfig(config, baseConfigs, name) {
+    let result = Object.assign({}, config);
+    delete result.extends;
+    delete result.mergeStrategy;
+    if (baseConfigs.length) {
+      const baseConfig = baseConfigs.reduce((acc, parentConfig) => merge(acc, parentConfig));
+      result = this._mergeConfig(baseConfig, result, config.mergeStrategy, name);
+    }
+
+    return result;
+  }
+  /**
+   * Gets the list of targets that match a list of names and patterns. The names
+   * without wildcards are used as they are, and the patterns are matched against
+   * the configuration files of the directory for the specified type.
+   * @param  {String}       directory The directory where the configurations are
+   *                                  located.
+   * @param  {Array|String} targets   The list of names and patterns.
+   * @param  {String}       type      The type of the configurations.
+   * @return {Array}
+   * @throws {Error} If no target was found.
+   * @ignore
+   */
+  static _findTargets(directory, targets, type) {
+    let available;
+    const result = [];
+    [].concat(targets).forEach((target) => {
+      let found;
+      if (/[*?]/.test(target)) {
+        if (!available) {
+          available = this._getAvailableTargets(directory, type);
+        }
+
+        const expression = this._globToRegExp(target);
+        found = available.filter((name) => expression.test(name));
+      } else {
+        found = [target];
+      }
+
+      found.forEach((name) => {
+        if (result.indexOf(name) === -1) {
+          result.push(name);
+        }
+      });
+    });
+
+    if (!result.length) {
+      throw new Error(
+        `There are no '${type}' configuration files on '${directory.path}' that match: ` +
+        `${[].concat(targets).join(', ')}`
+      );
+    }
+
+    return result;
+  }
+  /**
+   * Gets the names of all the targets that have a configuration file for a type,
+   * using the patterns and the extensions of the directory options.
+   * @param  {WebpackNodeUtilsDirectoryOptions} directory The directory where the
+   *                                                      configurations are located
+   *                                                      and the options to find the
+   *                                                      files.
+   * @param  {String} type The type of the configurations.
+   * @return {Array} The names of the targets, sorted alphabetically.
+   * @ignore
+   */
+  static _getAvailableTargets(directory, type) {
+    const escape = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const expressions = directory.patterns.map((pattern) => {
+      const [before, after] = pattern.split('[target]').map((part) => escape(part));
+      const extensions = directory.extensions.map((ext) => escape(ext)).join('|');
+      const expression = `^${before}(.+?)${after}(?:${extensions})$`
+      .replace(/\\\[type\\\]/g, escape(type));
+      return new RegExp(expression);
+    });
+    const result = [];
+    this._getFiles(path.join(rootPath, directory.path)).forEach((file) => {
+      expressions.forEach((expression) => {
+        const match = expression.exec(file);
+        if (match && result.indexOf(match[1]) === -1) {
+          result.push(match[1]);
+        }
+      });
+    });
+
+    return result.sort();
+  }
+  /**
+   * Gets the list of files inside a directory and its sub directories.
+   * @param  {String} directory The absolute path to the directory.
+   * @param  {String} prefix    Optional. The relative path of the directory, to
+   *                            add on the names of the files.
+   * @return {Array} The relative paths of the files, using `/` as separator.
+   * @ignore
+   */
+  static _getFiles(directory, prefix = '') {
+    return fs.readdirSync(directory).reduce((acc, name) => {
+      const file = path.join(directory, name);
+      return fs.statSync(file).isDirectory() ?
+        acc.concat(this._getFiles(file, `${prefix}${name}/`)) :
+        acc.concat(`${prefix}${name}`);
+    }, []);
+  }
+  /**
+   * Converts a glob pattern into a regular expression. It supports `*`, for any
+   * number of characters, and `?`, for a single character.
+   * @param  {String} pattern The glob pattern.
+   * @return {RegExp}
+   * @ignore
+   */
+  static _globToRegExp(pattern) {
+    const expression = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+    return new RegExp(`^${expression}$`);
+  }
+  /**
+   * Gets the names of the dependencies of a package.
+   * @param  {Object}  packageJSON      The contents of the package `package.json`.
+   * @param  {Object}  options          The types of dependencies to include, besides
+   *                                    the production ones.
+   * @param  {Boolean} options.dev      Whether or not to include the `devDependencies`.
+   * @param  {Boolean} options.peer     Whether or not to include the
+   *                                    `peerDependencies`.
+   * @param  {Boolean} options.optional Whether or not to include the
+   *                                    `optionalDependencies`.
+   * @return {Array}
+   * @ignore
+   */
+  static _getDependencies(packageJSON, options) {
+    const types = ['dependencies'];
+    if (options.dev) {
+      types.push('devDependencies');
+    }
+
+    if (options.peer) {
+      types.push('peerDependencies');
+    }
+
+    if (options.optional) {
+      types.push('optionalDependencies');
+    }
+
+    return types.reduce(
+      (acc, type) => acc.concat(Object.keys(packageJSON[type] || {})),
+      []
+    );
+  }
+  /**
+   * Gets the `package.json` of all the packages on the project workspaces. The
+   * `workspaces` property can be a list of paths or a dictionary with a `packages`
+   * list, and the paths can use `*` and `?` on the names of the directories.
+   * @param  {Object} packageJSON The contents of the project `package.json`.
+   * @return {Array}
+   * @ignore
+   */
+  static _getWorkspaces(packageJSON) {
+    const { workspaces } = packageJSON;
+    const patterns = Array.isArray(workspaces) ?
+      workspaces :
+      ((workspaces && workspaces.packages) || []);
+    const directories = patterns.reduce(
+      (acc, pattern) => acc.concat(this._findDirectories(pattern)),
+      []
+    );
+
+    return directories
+    .filter((directory, index) => directories.indexOf(directory) === index)
+    .map((directory) => path.join(directory, 'package.json'))
+    .filter((file) => fs.existsSync(path.join(rootPath, file)))
+    .map((file) => JSON.parse(this.read(file)));
+  }
+  /**
+   * Gets the names and the `package.json` of the packages installed on a
+   * `node_modules` directory, including the scoped ones.
+   * @param  {String} directory The path to the directory, relative to the project
+   *                            root directory.
+   * @return {Array} A list of dictionaries with the `name` and the `packageJSON` of
+   *                 each package, sorted by name.
+   * @ignore
+   */
+  static _getInstalledPackages(directory) {
+    const absPath = path.join(rootPath, directory);
+    const readDirectory = (dirPath) => fs.readdirSync(dirPath)
+    .filter((name) => !name.startsWith('.'));
+    let result = [];
+    if (fs.existsSync(absPath)) {
+      result = readDirectory(absPath)
+      .reduce((acc, name) => acc.concat(name.startsWith('@') ?
+        readDirectory(path.join(absPath, name)).map((item) => `${name}/${item}`) :
+        name), [])
+      .sort()
+      .map((name) => ({
+        name,
+        file: path.join(directory, name, 'package.json'),
+      }))
+      .filter((pckg) => fs.existsSync(path.join(rootPath, pckg.file)))
+      .map((pckg) => ({
+        name: pckg.name,
+        packageJSON: JSON.parse(this.read(pckg.file)),
+      }));
+    }
+
+    return result;
+  }
+  /**
+   * Warns about the dependencies that are declared but not installed, and the
+   * packages that are installed but not declared nor required by another installed
+   * package.
+   * @param  {Object}           packageJSON The contents of the project `package.json`.
+   * @param  {Array}            deps        The names of the dependencies that will be
+   *                                        externals.
+   * @param  {Array}            installed   The list of installed packages, with their
+   *                                        `name` and `packageJSON`.
+   * @param  {Boolean|Function} validate    A custom function to send the warnings to.
+   *                                        If it's not a function, they'll be logged
+   *                                        with `console.warn`.
+   * @ignore
+   */
+  static _validateInstalledPackages(packageJSON, deps, installed, validate) {
+    const warn = typeof validate === 'function' ?
+      validate :
+      (message) => console.warn(message);
+    const allTypes = {
+      dev: true,
+      peer: true,
+      optional: true,
+    };
+    const names = installed.map((pckg) => pckg.name);
+    const declared = this._getDependencies(packageJSON, allTypes).concat(deps);
+    const required = installed.reduce(
+      (acc, pckg) => acc.concat(this._getDependencies(pckg.packageJSON, {
+        peer: true,
+        optional: true,
+      })),
+      []
+    );
+
+    deps
+    .filter((name, index) => deps.indexOf(name) === index && names.indexOf(name) === -1)
+    .forEach((name) => {
+      warn(`The dependency '${name}' is declared, but it's not installed`);
+    });
+
+    names
+    .filter((name) => declared.indexOf(name) === -1 && required.indexOf(name) === -1)
+    .forEach((name) => {
+      warn(`The package '${name}' is installed, but it's not declared as a dependency`);
+    });
+  }
+  /**
+   * Finds the directories that match a path with glob patterns on the names of the
+   * directories.
+   * @param  {String} pattern The path to match, relative to the project root
+   *                          directory.
+   * @return {Array} The paths of the directories, relative to the project root
+   *                 directory.
+   * @ignore
+   */
+  static _findDirectories(pattern) {
+    const isDirectory = (directory) => {
+      const absPath = path.join(rootPath, directory);
+      return fs.existsSync(absPath) && fs.statSync(absPath).isDirectory();
+    };
+
+    return pattern
+    .split('/')
+    .filter((segment) => segment && segment !== '.')
+    .reduce((acc, segment) => acc.reduce((directories, directory) => {
+      let found;
+      if (/[*?]/.test(segment)) {
+        const expression = this._globToRegExp(segment);
+        found = fs.readdirSync(path.join(rootPath, directory))
+        .filter((name) => expression.test(name))
+        .sort()
+        .map((name) => path.join(directory, name));
+      } else {
+        found = [path.join(directory, segment)];
+      }
+
+      return directories.concat(found.filter((item) => isDirectory(item)));
+    }, []), ['.']);
+  }
+  /**
+   * Creates a function Webpack can use as `externals` that, besides the exact names
+   * of the externals, matches the sub paths of the packages (like `lodash/fp`) and
+   * the patterns of the extras. It supports the signatures of Webpack 4
+   * (`context, request, callback`) and 5 (`{ context, request }, callback`).
+   * @param  {Object}   externals         The dictionary of externals.
+   * @param  {Object}   options           The information to match the requests that
+   *                                      are not on the dictionary.
+   * @param  {Array}    options.packages  The names of the packages which sub paths
+   *                                      should be matched.
+   * @param  {Function} options.isIgnored Checks if a request should be ignored.
+   * @param  {?Function} options.isExtra  Checks if a request matches the extras.
+   * @param  {Function} options.getType   Gets the type of a package external.
+   * @return {Function}
+   * @ignore
+   */
+  static _createExternalsFunction(externals, options) {
+    const {
+      packages,
+      isIgnored,
+      isExtra,
+      getType,
+    } = options;
+    return (...args) => {
+      const callback = args[args.length - 1];
+      const request = typeof args[0] === 'object' ? args[0].request : args[1];
+      const pckg = packages.find((name) => request.startsWith(`${name}/`));
+      let external;
+      if (externals[request]) {
+        external = externals[request];
+      } else if (pckg && !isIgnored(request)) {
+        external = this._formatExternal(request, request, getType(pckg));
+      } else if (isExtra && isExtra(request)) {
+        external = this._formatExternal(request, request, getType(request));
+      }
+
+      callback(null, external);
+    };
+  }
+  /**
+   * Validates the types of the externals options and creates a function to get the
+   * type of a package.
+   * @param  {WebpackNodeUtilsExternalsOptions} options The externals options.
+   * @return {Function}
+   * @throws {Error} If the type or any of the types of the packages is not supported.
+   * @ignore
+   */
+  static _createExternalsTypeGetter(options) {
+    const { type = 'commonjs', types = {} } = options;
+    const supported = [
+      'commonjs',
+      'commonjs2',
+      'node-commonjs',
+      'amd',
+      'umd',
+      'module',
+      'import',
+    ];
+    const validate = (value, name) => {
+      if (supported.indexOf(value) === -1) {
+        const target = name ? ` for '${name}'` : '';
+        throw new Error(
+          `The externals type${target} must be one of: ${supported.join(', ')}`
+        );
+      }
+    };
+
+    validate(type);
+    Object.keys(types).forEach((name) => validate(types[name], name));
+    return (name) => types[name] || type;
+  }
+  /**
+   * Generates the value Webpack expects for an external.
+   * @param  {String} name    The name of the external, used to generate the name of
+   *                          the global variable for `umd`.
+   * @param  {String} request The path or the name of the package Webpack should
+   *                          `require`.
+   * @param  {String} type    The type of the external.
+   * @return {String|Object}
+   * @ignore
+   */
+  static _formatExternal(name, request, type) {
+    let result;
+    if (type === 'umd') {
+      result = {
+        commonjs: request,
+        commonjs2: request,
+        amd: request,
+        root: name
+        .replace(/^@/, '')
+        .replace(/[^a-zA-Z0-9]+(.)/g, (match, char) => char.toUpperCase()),
+      };
+    } else {
+      result = `${type} ${request}`;
+    }
+
+    return result;
+  }
+  /**
+   * Creates a function that checks if a name matches any of the items of a list,
+   * which can be names, glob patterns, regular expressions or functions that receive
+   * the name and return whether or not it matches.
+   * @param  {Array}  patterns The list of items to match.
+   * @param  {String} message  The message for the error if the list is invalid.
+   * @return {Function}
+   * @throws {Error} If the list or any of its items is invalid.
+   * @ignore
+   */
+  static _createMatcher(patterns, message) {
+    if (!Array.isArray(patterns)) {
+      throw new Error(message);
+    }
+
+    const matchers = patterns.map((pattern) => {
+      let matcher;
+      if (typeof pattern === 'function') {
+        matcher = pattern;
+      } else if (pattern instanceof RegExp) {
+        matcher = (name) => name.search(pattern) > -1;
+      } else if (typeof pattern === 'string' && /[*?]/.test(pattern)) {
+        const expression = this._globToRegExp(pattern);
+        matcher = (name) => expression.test(name);
+      } else if (typeof pattern === 'string') {
+        matcher = (name) => name === pattern;
+      } else {
+        throw new Error(message);
+      }
+
+      return matcher;
+    });
+
+    return (name) => matchers.some((matcher) => !!matcher(name));
+  }
+  /**
+   * Generates the parameters the configuration files receive, with the hash
+   * information.
+   * @param  {Boolean|String|Function|WebpackNodeUtilsHashOptions} useHash Whether or
+   *                                                                     not to
+   *                                                                     generate a
+   *                                                                     hash, and how.
+   * @param  {Object}  params  The custom parameters.
+   * @return {Object}
+   * @ignore
+   */
+  static _getParams(useHash, params) {
+    const hash = useHash ? this._getHash(useHash) : '';
+    const hashStr = useHash ? `.${hash}` : '';
+    return Object.assign({
+      hash,
+      hashStr,
+    }, params);
+  }
+  /**
+   * Generates a hash for the configurations using one of the strategies.
+   * @param  {Boolean|String|Function|WebpackNodeUtilsHashOptions} useHash The strategy
+   *                                                                     or the
+   *                                                                     options to
+   *                                                                     generate the
+   *                                                                     hash.
+   * @return {Number|String}
+   * @throws {Error} If the strategy or the length are invalid.
+   * @ignore
+   */
+  static _getHash(useHash) {
+    let options;
+    if (typeof useHash === 'object') {
+      options = Object.assign({ strategy: 'timestamp' }, useHash);
+    } else {
+      options = {
+        strategy: useHash === true ? 'timestamp' : useHash,
+      };
+    }
+
+    const { strategy, length } = options;
+    if (
+      typeof length !== 'undefined' &&
+      (typeof length !== 'number' || length < 1 || Math.floor(length) !== length)
+    ) {
+      throw new Error('The hash length must be a positive integer');
+    }
+
+    let hash;
+    if (typeof strategy === 'function') {
+      hash = strategy();
+    } else if (strategy === 'timestamp') {
+      hash = Date.now();
+    } else if (strategy === 'git') {
+      hash = this._getGitHash();
+    } else if (strategy === 'version') {
+      const { version } = this.require('package.json');
+      hash = crypto.createHash('md5').update(String(version)).digest('hex');
+    } else {
+      throw new Error(
+        'The hash strategy must be \'timestamp\', \'git\', \'version\' or a function'
+      );
+    }
+
+    return length ? String(hash).substr(0, length) : hash;
+  }
+  /**
+   * Gets the SHA of the commit the project is on by reading the `.git` directory.
+   * It supports detached heads, loose references and packed references. If `.git` is
+   * a file (worktrees and submodules), it follows its `gitdir` pointer, and reads the
+   * references from the `commondir` the directory may have.
+   * @return {String}
+   * @throws {Error} If the SHA can't be found.
+   * @ignore
+   */
+  static _getGitHash() {
+    const readFile = (file) => {
+      let result;
+      try {
+        result = this.read(file).trim();
+      } catch (ignore) {
+        result = null;
+      }
+
+      return result;
+    };
+
+    let gitDir = '.git';
+    // Reading `.git` only works when it's a file, as a directory will throw `EISDIR`.
+    const pointer = readFile(gitDir);
+    if (pointer) {
+      const pointerMatch = /^gitdir:\s*(.+)$/.exec(pointer);
+      if (!pointerMatch) {
+        throw new Error(
+          'The git commit SHA couldn\'t be read, the \'.git\' file doesn\'t point to a directory'
+        );
+      }
+
+      gitDir = path.relative(rootPath, path.resolve(rootPath, pointerMatch[1]));
+    }
+
+    const head = readFile(path.join(gitDir, 'HEAD'));
+    if (!head) {
+      throw new Error(
+        `The git commit SHA couldn't be read, the '${gitDir}' directory is missing`
+      );
+    }
+
+    const commonDir = path.join(gitDir, readFile(path.join(gitDir, 'commondir')) || '');
+    const refMatch = /^ref:\s*(.+)$/.exec(head);
+    let result;
+    if (refMatch) {
+      const [, ref] = refMatch;
+      result = readFile(path.join(gitDir, ref)) || readFile(path.join(commonDir, ref));
+      if (!result) {
+        const packed = readFile(path.join(commonDir, 'packed-refs')) || '';
+        const line = packed
+        .split('\n')
+        .find((item) => item.trim().split(/\s+/)[1] === ref);
+        if (!line) {
+          throw new Error(
+            `The git commit SHA couldn't be read, the reference '${ref}' is missing`
+          );
+        }
+
+        [result] = line.trim().split(/\s+/);
+      }
+    } else {
+      result = head;
+    }
+
+    return result;
+  }
+  /**
+   * Merges a configuration on top of the one it extends. By default, it uses
+   * `webpack-merge`, but the configuration can have a `mergeStrategy` property
+   * with a dictionary of strategies for `webpack-merge` (`append`, `prepend` or
+   * `replace`) or a custom function to merge them.
+   * @example
+   * // Replace the entries of the base configuration and prepend the rules.
+   * module.exports = () => ({
+   *   extends: 'base',
+   *   mergeStrategy: {
+   *     entry: 'replace',
+   *     'module.rules': 'prepend',
+   *   },
+   *   ...
+   * });
+   *
+   * @param  {Object}          baseConfig The configuration being extended.
+   * @param  {Object}          config     The configuration that extends the base.
+   * @param  {Object|Function} strategy   Optional. The `mergeStrategy` of the
+   *                                      configuration.
+   * @param  {String}          name       The name of the configuration file, for
+   *                                      the error messages.
+   * @return {Object} A Webpack configuration object.
+   * @throws {Error} If the strategy is not a dictionary nor a function, or if it
+   *                 has an invalid strategy for a property.
+   * @ignore
+   */
+  static _mergeConfig(baseConfig, config, strategy, name) {
+    const strategies = ['append', 'prepend', 'replace'];
+    let result;
+    if (!strategy) {
+      result = merge(baseConfig, config);
+    } else if (typeof strategy === 'function') {
+      result = strategy(baseConfig, config);
+    } else if (typeof strategy === 'object' && !Array.isArray(strategy)) {
+      Object.keys(strategy).forEach((key) => {
+        if (strategies.indexOf(strategy[key]) === -1) {
+          throw new Error(
+            `The merge strategy for '${key}' on '${name}' must be 'append', 'prepend' ` +
+            'or \'replace\''
+          );
+        }
+      });
+
+      result = merge.strategy(strategy)(baseConfig, config);
+    } else {
+      throw new Error(
+        `The merge strategy on '${name}' must be a dictionary or a function`
+      );
+    }
+
+    return result;
   }
 }
 
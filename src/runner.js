@@ -1,54 +1,302 @@
 /* eslint-disable no-console, class-methods-use-this */
 
 const path = require('path');
+const EventEmitter = require('events');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const readline = require('readline');
+const { URL } = require('url');
 const { fork } = require('child_process');
 const colors = require('colors/safe');
+/**
+ * @typedef {Object} WebpackNodeUtilsRunnerOptions
+ * @property {String}       [killSignal='SIGTERM'] The signal the plugin will send to the
+ *                                                 bundle process when it needs to stop it.
+ * @property {Number}       [killTimeout=5000]     How many milliseconds the plugin should
+ *                                                 wait for the bundle process to exit before
+ *                                                 sending a `SIGKILL`.
+ * @property {Array}        [args=[]]              A list of arguments for the bundle script.
+ * @property {Array}        [execArgv]             A list of arguments for the Node executable,
+ *                                                 like `--inspect`. By default, the process
+ *                                                 uses the same as the current process.
+ * @property {Object}       [env={}]               A dictionary of environment variables that
+ *                                                 will be merged on top of `process.env`.
+ * @property {String}       [cwd]                  The working directory for the process.
+ * @property {String|Array} [stdio]                The `stdio` configuration for the process.
+ *                                                 If it's a list, it must include `ipc`, as
+ *                                                 `fork` requires an IPC channel.
+ * @property {Boolean}      [restartOnCrash=false] Whether or not the plugin should restart the
+ *                                                 bundle process if it exits with an error.
+ * @property {Number}       [maxRestarts=5]        How many times the plugin will try to
+ *                                                 restart a crashed process before giving up.
+ *                                                 The counter gets reset after every build.
+ * @property {Number}       [restartDelay=1000]    How many milliseconds the plugin will wait
+ *                                                 before the first restart. The delay gets
+ *                                                 doubled on every attempt.
+ * @property {Boolean}      [forceRestart=false]   By default, the plugin only restarts a
+ *                                                 process if its entry (or any of the chunks
+ *                                                 it depends on) changed on the build. If
+ *                                                 this is `true`, the processes will be
+ *                                                 restarted after every successful build,
+ *                                                 no matter what changed.
+ * @property {String}       [onBuildError='keep']  What to do with the running processes when
+ *                                                 the build has errors: `keep` them running
+ *                                                 the previous build, or `stop` them. In both
+ *                                                 cases, they'll be started again on the next
+ *                                                 successful build.
+ * @property {Object|Null}  [logger=null]          A custom logger for the plugin messages. It
+ *                                                 must have `info`, `warn` and `error`
+ *                                                 methods, and it can also have a `success`
+ *                                                 method (otherwise, `info` will be used). By
+ *                                                 default, the plugin uses `console.log`.
+ * @property {String}       [logLevel='info']      The minimum level of the messages the plugin
+ *                                                 logs: `info`, `warn`, `error` or `silent`.
+ * @property {String}       [logPrefix='[WebpackNodeUtilsRunner]'] The prefix for the plugin
+ *                                                 messages. It can be an empty string.
+ * @property {Boolean|Number|WebpackNodeUtilsRunnerInspectOptions} [inspect=false]
+ * Whether or not to start the bundle process with the Node inspector enabled. It can be
+ * `true`, a port number, or a dictionary of options.
+ * @property {WebpackNodeUtilsRunnerReadyOptions|Null} [ready=null]
+ * How the plugin can detect that a process is ready (for example, a server listening), so it
+ * can inform it and emit the `ready` event. By default, the plugin doesn't check it.
+ * @property {Boolean}      [interactive=false]    Whether or not the plugin should listen for
+ *                                                 commands on the standard input: `rs` to
+ *                                                 restart the processes, `stop`, `start` and
+ *                                                 `entries` to list the available entries and
+ *                                                 switch the one that is running.
+ * @property {Boolean|String} [hot=false]          Whether or not to keep the processes alive
+ *                                                 between builds and tell them to apply the
+ *                                                 hot updates instead of restarting them:
+ *                                                 `signal` (or `true`) sends a `SIGUSR2`, for
+ *                                                 `webpack/hot/signal`, and `message` sends a
+ *                                                 `webpack-hot-update` message.
+ */
+
+/**
+ * @typedef {Object} WebpackNodeUtilsRunnerReadyOptions
+ * @property {String} [message]           A message the process will send using
+ *                                        `process.send`. It can be the message itself or the
+ *                                        `type` property of an object.
+ * @property {RegExp} [stdout]            An expression to match against the lines the process
+ *                                        writes on its output.
+ * @property {Number} [port]              A TCP port that should be reachable.
+ * @property {String} [host='localhost']  The host for the `port` check.
+ * @property {String} [url]               An HTTP(S) URL that should respond.
+ * @property {Number} [timeout=30000]     How many milliseconds to wait before giving up.
+ * @property {Number} [interval=500]      How many milliseconds to wait between the `port` and
+ *                                        `url` checks.
+ */
+
+/**
+ * @typedef {Object} WebpackNodeUtilsRunnerEntry
+ * @property {String} file The name of the entry file on the Webpack assets.
+ * @property {String} path The absolute path to the entry file.
+ * @ignore
+ */
+
+/**
+ * @typedef {Object} WebpackNodeUtilsRunnerProcess
+ * @property {String}      entry          The name of the entry the process runs.
+ * @property {String}      path           The absolute path to the entry file.
+ * @property {Number}      index          The position of the entry on the list of entries
+ *                                        the plugin runs.
+ * @property {Object|Null} instance       The reference to the process, if it's running.
+ * @property {Boolean}     running        Whether the process is running (or about to).
+ * @property {Promise|Null} stopping      While the process is being stopped, a promise that
+ *                                        gets resolved once it exits.
+ * @property {Number}      restarts       How many times the process was restarted after
+ *                                        crashing since the last build.
+ * @property {Object|Null} restartTimeout The reference to the timeout of a scheduled restart.
+ * @property {Object|Null} pendingStart   An object that identifies a start that is waiting
+ *                                        for something (a previous process to exit or a port
+ *                                        for the inspector), so it can be canceled.
+ * @property {Number|Null} inspectPort    The port the inspector used the last time the
+ *                                        process was started.
+ * @property {String|Null} buildHash      A hash of the chunks of the entry on the last build.
+ * @property {String|Null} runningHash    The `buildHash` of the build the process is running.
+ * @property {Number}      build          How many times Webpack started a build since the
+ *                                        process was created.
+ * @property {Number|Null} runningBuild   The `build` the process is running, so it doesn't get
+ *                                        restarted if Webpack reports the same build twice.
+ * @property {Number|Null} startingAt     The timestamp of when the plugin started to start
+ *                                        the process, to calculate how long it took.
+ * @ignore
+ */
+
+/**
+ * @typedef {Object} WebpackNodeUtilsRunnerInspectOptions
+ * @property {Number}  [port=9229]        The port the inspector should use. If the port is taken,
+ *                                        the plugin will use a free one.
+ * @property {String}  [host='127.0.0.1'] The host the inspector should bind to.
+ * @property {Boolean} [brk=false]        Whether or not to use `--inspect-brk` so the process
+ *                                        waits for the debugger before running the code.
+ */
 /**
  * This is a Webpack plugin for Node apps that allows the developer to start/stop the bundle
  * execution while Webpack _watches_ the files.
  * Based on https://github.com/ericclemmons/start-server-webpack-plugin.
+ * The plugin is also an event emitter, and these are the events it emits:
+ * - `entry-selected` `({ entry, path })`: When an entry gets selected to be executed.
+ * - `starting` `({ entry, path })`: When the plugin is about to start a process.
+ * - `started` `({ entry, path, pid, duration })`: When a process is forked.
+ * - `ready` `({ entry, path, pid, duration })`: When a process is ready, based on the
+ *   `ready` option.
+ * - `stopping` `({ entry, path, pid })`: When the plugin is about to stop a process.
+ * - `stopped` `({ entry, path, pid, code, signal, duration })`: When a process exits
+ *   because the plugin stopped it (`duration` is how long it took), or because it finished
+ *   without errors.
+ * - `crashed` `({ entry, path, pid, code, signal, error })`: When a process exits with an
+ *   error, or when it couldn't be started (`error` is only sent on the last case).
+ * - `restart-skipped` `({ entry, path, pid, reason })`: When the plugin doesn't restart a
+ *   process after a build; `reason` can be `unchanged` or `build-failed`.
+ * - `hot-update` `({ entry, path, pid })`: When the plugin tells a process to apply a hot
+ *   update.
+ * - `hot-update-rejected` `({ entry, path, pid })`: When a process can't apply a hot update
+ *   and the plugin needs to restart it.
  * @class
+ * @extends {EventEmitter}
  */
-class WebpackNodeUtilsRunner {
+class WebpackNodeUtilsRunner extends EventEmitter {
   /**
    * Class constructor.
-   * @param {String|Null} entry Optional. The name of the Webpack entry the plugin will execute
-   *                            when the Webpack finishes building the files. If it's empty, the
-   *                            plugin will use the first one on the list of assets Webpack
-   *                            provides during compilation time.
+   * @param {String|Array|Function|Null}    entry        Optional. The name of the Webpack
+   *                                                       entry the plugin will execute when
+   *                                                       the Webpack finishes building the
+   *                                                       files. It can also be a list of
+   *                                                       entries, `'*'` to run all of
+   *                                                       them, each one on its own process,
+   *                                                       or a function that receives the name
+   *                                                       and the path of each entry and
+   *                                                       returns whether it should run.
+   *                                                       The names are the ones of the
+   *                                                       Webpack entrypoints, but the name of
+   *                                                       the output file can also be used.
+   *                                                       If it's empty, the plugin will use
+   *                                                       the first one on the list of entries
+   *                                                       Webpack provides during
+   *                                                       compilation time.
+   * @param {WebpackNodeUtilsRunnerOptions} [options={}] Optional. Custom options for the
+   *                                                       plugin.
    * @return {WebpackNodeUtilsRunner}
+   * @throws {Error} If the entry or any of the options has an invalid value.
    */
-  constructor(entry) {
+  constructor(entry, options = {}) {
+    super();
     /**
-     * The name of the Webpack entry the plugin will execute when the files change. It's value
-     * may be overwritten during the Webpack `compile` event (on the `_onAssetsEmitted` method).
-     * @type {String|Null}
+     * The name the plugin uses to _tap_ into the Webpack hooks and as a prefix for its log
+     * messages.
+     * @type {String}
      * @ignore
      */
-    this._entry = entry || null;
+    this._name = 'WebpackNodeUtilsRunner';
     /**
-     * On the Webpack `compile` event, the plugin will use this property to save the absolute
-     * path to the build file.
-     * @type {String|Null}
+     * The plugin options.
+     * @type {WebpackNodeUtilsRunnerOptions}
+     * @ignore
      */
-    this._entryPath = null;
+    this._options = Object.assign({
+      killSignal: 'SIGTERM',
+      killTimeout: 5000,
+      args: [],
+      execArgv: null,
+      env: {},
+      cwd: null,
+      stdio: null,
+      restartOnCrash: false,
+      maxRestarts: 5,
+      restartDelay: 1000,
+      forceRestart: false,
+      onBuildError: 'keep',
+      logger: null,
+      logLevel: 'info',
+      logPrefix: `[${this._name}]`,
+      inspect: false,
+      ready: null,
+      interactive: false,
+      hot: false,
+    }, options);
     /**
-     * A flag for the plugin to know if the build it's currently being executed or not.
-     * @type {Boolean}
+     * The name of the Webpack entries the plugin will execute when the files change: `null`
+     * to let the plugin choose, `'*'` for all of them, a list of names or a function to
+     * filter them.
+     * @type {String|Array|Function|Null}
+     * @ignore
      */
-    this._running = false;
+    this._entries = this._normalizeEntries(entry);
     /**
-     * When the build is executed, this property will store the instance of the process, so it
-     * can later be _killed_.
-     * @type {Object|Null}
+     * On the Webpack `after-emit` event, the plugin will use this property to save the
+     * information of the processes for the entries it needs to execute.
+     * @type {Array<WebpackNodeUtilsRunnerProcess>}
      */
-    this._instance = null;
+    this._processes = [];
+    /**
+     * How many times the plugin checks if the inspector port is available before looking for
+     * a new one, while waiting for a previous process to free it.
+     * @type {Number}
+     * @ignore
+     */
+    this._inspectPortAttempts = 10;
+    /**
+     * How many milliseconds the plugin waits between the checks it does for the inspector:
+     * if the port is available, and if the DevTools URL can be obtained.
+     * @type {Number}
+     * @ignore
+     */
+    this._inspectRetryDelay = 100;
     /**
      * A flag for the plugin to know if the build information was already obtained and avoid
      * running the same logic for every Webpack `after-emit` event.
      * @type {Boolean}
      */
     this._setup = false;
+    /**
+     * A dictionary with the entries Webpack emitted on the last build and the information of
+     * their files. The plugin updates it on every build, as the names of the files can change
+     * (for example, if they include a hash).
+     * @type {Object<String,WebpackNodeUtilsRunnerEntry>}
+     * @ignore
+     */
+    this._availableEntries = {};
+    /**
+     * The interface the plugin uses to read the commands from the standard input when the
+     * `interactive` option is enabled.
+     * @type {Object|Null}
+     * @ignore
+     */
+    this._stdinInterface = null;
+    /**
+     * Whether or not the plugin is waiting for the user to choose an entry, after listing them
+     * with the `entries` command.
+     * @type {Boolean}
+     * @ignore
+     */
+    this._selectingEntry = false;
+    /**
+     * The signal the plugin sends to the processes to apply the hot updates when the `hot`
+     * option is set to `signal`. It's the one `webpack/hot/signal` listens for by default.
+     * @type {String}
+     * @ignore
+     */
+    this._hotSignal = 'SIGUSR2';
+    /**
+     * The types of the messages the plugin uses to communicate with the processes about hot
+     * updates: the one it sends when there's an update and the one a process can send when
+     * it can't apply it.
+     * @type {Object}
+     * @ignore
+     */
+    this._hotMessages = {
+      update: 'webpack-hot-update',
+      rejected: 'webpack-hot-update-rejected',
+    };
+    /**
+     * An expression to detect on the output of a process the messages `webpack/hot/signal`
+     * and `webpack/hot/poll` log when an update can't be applied.
+     * @type {RegExp}
+     * @ignore
+     */
+    this._hotRejectedExpression = /\[HMR\] (?:Cannot apply update|You need to restart)/;
     /**
      * A dictionary of type of logs and colors for them that the plugin will use to build
      * methods that log messages on their respective colors, using the `colors` package.
@@ -60,18 +308,301 @@ class WebpackNodeUtilsRunner {
       warn: 'yellow',
       success: 'green',
     };
+    /**
+     * A dictionary with the log levels the plugin supports and their priority. A message
+     * will only be logged if its priority is lower or equal than the one of the `logLevel`
+     * option. `success` messages are treated as `info` messages.
+     * @type {Object}
+     * @ignore
+     */
+    this._logLevels = {
+      silent: 0,
+      error: 1,
+      warn: 2,
+      info: 3,
+      success: 3,
+    };
+    /**
+     * Whether or not the plugin should use colors on the messages it logs with `console.log`.
+     * They get disabled when the output is not a terminal or the `NO_COLOR` environment
+     * variable is set to a non empty value.
+     * @type {Boolean}
+     * @ignore
+     */
+    this._useColors = !!process.stdout.isTTY && !process.env.NO_COLOR;
 
+    this._validateOptions();
+    /**
+     * The normalized settings for the Node inspector, or `null` if the `inspect` option is
+     * disabled.
+     * @type {WebpackNodeUtilsRunnerInspectOptions|Null}
+     * @ignore
+     */
+    this._inspect = this._normalizeInspectOption(this._options.inspect);
+    /**
+     * The normalized settings to detect when a process is ready, or `null` if the `ready`
+     * option is not set.
+     * @type {WebpackNodeUtilsRunnerReadyOptions|Null}
+     * @ignore
+     */
+    this._ready = this._options.ready ?
+      Object.assign({
+        host: 'localhost',
+        timeout: 30000,
+        interval: 500,
+      }, this._options.ready) :
+      null;
+    /**
+     * How the plugin tells the processes to apply the hot updates (`signal` or `message`), or
+     * `null` if the `hot` option is disabled.
+     * @type {String|Null}
+     * @ignore
+     */
+    this._hot = this._options.hot === true ? 'signal' : (this._options.hot || null);
     this._defineLogMethods();
     this._bindMethods();
   }
   /**
    * This is the method Webpack calls in order for the plugin to hook to the required events.
+   * If the compiler has a `hooks` property (Webpack 4+), the plugin will _tap_ into them;
+   * otherwise, it will fallback to the legacy `plugin` method.
    * @param {Object} compiler The Webpack compiler.
    */
   apply(compiler) {
-    compiler.plugin('after-emit', this._onAssetsEmitted);
-    compiler.plugin('compile', this._onCompilationStarts);
-    compiler.plugin('done', this._onCompilationEnds);
+    if (compiler.hooks) {
+      compiler.hooks.afterEmit.tapAsync(this._name, this._onAssetsEmitted);
+      compiler.hooks.compile.tap(this._name, this._onCompilationStarts);
+      compiler.hooks.done.tap(this._name, this._onCompilationEnds);
+      compiler.hooks.watchClose.tap(this._name, this._onWatchClosed);
+    } else {
+      compiler.plugin('after-emit', this._onAssetsEmitted);
+      compiler.plugin('compile', this._onCompilationStarts);
+      compiler.plugin('done', this._onCompilationEnds);
+      compiler.plugin('watch-close', this._onWatchClosed);
+    }
+
+    if (this._options.interactive) {
+      this._listenForCommands();
+    }
+  }
+  /**
+   * Starts the processes that are not running. This can only be used after Webpack emitted
+   * the files, since the plugin needs to know which entries to run.
+   * @return {Promise} A promise that gets resolved once the processes are forked.
+   */
+  start() {
+    return Promise.all(this._processes
+    .filter(({ running }) => !running)
+    .map(({ entry }) => this._startInstance(entry)));
+  }
+  /**
+   * Stops the running processes, and cancels any pending start or restart.
+   * @return {Promise} A promise that gets resolved once the processes exit.
+   */
+  stop() {
+    return Promise.all(this._processes.map(({ entry, instance, stopping }) => {
+      let result;
+      if (instance) {
+        result = this._stopInstance(entry);
+      } else {
+        this._cancelStart(entry);
+        result = stopping;
+      }
+
+      return result;
+    }));
+  }
+  /**
+   * Stops the running processes and starts them again.
+   * @return {Promise} A promise that gets resolved once the processes are forked.
+   */
+  restart() {
+    return this.stop().then(() => this.start());
+  }
+  /**
+   * Validates and normalizes the entry the plugin received on its constructor.
+   * @param {String|Array|Function|Null} entry The entry name, a list of names, `'*'` or a
+   *                                           function.
+   * @return {String|Array|Function|Null}
+   * @throws {Error} If the entry is not a string, a list of strings or a function.
+   * @ignore
+   */
+  _normalizeEntries(entry) {
+    let result;
+    if (!entry) {
+      result = null;
+    } else if (entry === '*' || typeof entry === 'function') {
+      result = entry;
+    } else if (typeof entry === 'string') {
+      result = [entry];
+    } else if (
+      Array.isArray(entry) &&
+      entry.length &&
+      entry.every((item) => typeof item === 'string' && item)
+    ) {
+      result = entry.slice();
+    } else {
+      throw new Error('The entry must be a string, a list of strings or a function');
+    }
+
+    return result;
+  }
+  /**
+   * Validates the options the plugin received on its constructor.
+   * @throws {Error} If any of the options has an invalid value.
+   * @ignore
+   */
+  _validateOptions() {
+    const {
+      killSignal,
+      killTimeout,
+      args,
+      execArgv,
+      env,
+      cwd,
+      stdio,
+      maxRestarts,
+      restartDelay,
+      forceRestart,
+      onBuildError,
+      logger,
+      logLevel,
+      logPrefix,
+      inspect,
+      ready,
+      interactive,
+      hot,
+    } = this._options;
+    const isStringsList = (value) => (
+      Array.isArray(value) &&
+      value.every((item) => typeof item === 'string')
+    );
+
+    if (typeof killSignal !== 'string' || !killSignal) {
+      throw new Error('The `killSignal` option must be a signal name');
+    } else if (typeof killTimeout !== 'number' || killTimeout < 0) {
+      throw new Error('The `killTimeout` option must be a positive number');
+    } else if (!isStringsList(args)) {
+      throw new Error('The `args` option must be a list of strings');
+    } else if (execArgv !== null && !isStringsList(execArgv)) {
+      throw new Error('The `execArgv` option must be a list of strings');
+    } else if (!env || typeof env !== 'object' || Array.isArray(env)) {
+      throw new Error('The `env` option must be a dictionary');
+    } else if (cwd !== null && typeof cwd !== 'string') {
+      throw new Error('The `cwd` option must be a string');
+    } else if (stdio !== null && typeof stdio !== 'string' && !Array.isArray(stdio)) {
+      throw new Error('The `stdio` option must be a string or a list');
+    } else if (Array.isArray(stdio) && !stdio.includes('ipc')) {
+      throw new Error('The `stdio` option must include `ipc` when it\'s a list');
+    } else if (typeof maxRestarts !== 'number' || maxRestarts < 0) {
+      throw new Error('The `maxRestarts` option must be a positive number');
+    } else if (typeof restartDelay !== 'number' || restartDelay < 0) {
+      throw new Error('The `restartDelay` option must be a positive number');
+    } else if (typeof forceRestart !== 'boolean') {
+      throw new Error('The `forceRestart` option must be a boolean');
+    } else if (!['keep', 'stop'].includes(onBuildError)) {
+      throw new Error('The `onBuildError` option must be `keep` or `stop`');
+    } else if (
+      logger !== null &&
+      (
+        !logger ||
+        ['info', 'warn', 'error'].some((method) => typeof logger[method] !== 'function')
+      )
+    ) {
+      throw new Error('The `logger` option must have `info`, `warn` and `error` methods');
+    } else if (!['silent', 'error', 'warn', 'info'].includes(logLevel)) {
+      throw new Error('The `logLevel` option must be `silent`, `error`, `warn` or `info`');
+    } else if (typeof logPrefix !== 'string') {
+      throw new Error('The `logPrefix` option must be a string');
+    } else if (
+      !['boolean', 'number', 'object'].includes(typeof inspect) ||
+      inspect === null ||
+      (typeof inspect === 'number' && inspect < 0) ||
+      (typeof inspect === 'object' && 'port' in inspect && typeof inspect.port !== 'number')
+    ) {
+      throw new Error('The `inspect` option must be a boolean, a port number or a dictionary');
+    } else if (typeof interactive !== 'boolean') {
+      throw new Error('The `interactive` option must be a boolean');
+    } else if (![true, false, 'signal', 'message'].includes(hot)) {
+      throw new Error('The `hot` option must be a boolean, `signal` or `message`');
+    } else if (hot && forceRestart) {
+      throw new Error('The `hot` option can\'t be used with `forceRestart`');
+    } else if (ready !== null) {
+      this._validateReadyOption(ready);
+    }
+  }
+  /**
+   * Validates the `ready` option.
+   * @param {WebpackNodeUtilsRunnerReadyOptions} ready The value of the option.
+   * @throws {Error} If the option is not a dictionary, if it doesn't have any condition, or
+   *                 if any of its properties has an invalid value.
+   * @ignore
+   */
+  _validateReadyOption(ready) {
+    const isPositiveNumber = (value) => typeof value === 'number' && value > 0;
+    const isURL = (value) => {
+      let result;
+      try {
+        const { protocol, hostname } = new URL(value);
+        result = /^https?:$/i.test(protocol) && !!hostname;
+      } catch (ignore) {
+        result = false;
+      }
+
+      return result;
+    };
+    const checks = {
+      message: (value) => typeof value === 'string' && !!value,
+      stdout: (value) => value instanceof RegExp,
+      port: isPositiveNumber,
+      host: (value) => typeof value === 'string' && !!value,
+      url: (value) => typeof value === 'string' && isURL(value),
+      timeout: isPositiveNumber,
+      interval: isPositiveNumber,
+    };
+
+    if (!ready || typeof ready !== 'object') {
+      throw new Error('The `ready` option must be a dictionary');
+    } else if (!['message', 'stdout', 'port', 'url'].some((name) => name in ready)) {
+      throw new Error(
+        'The `ready` option must have a `message`, `stdout`, `port` or `url` property'
+      );
+    }
+
+    Object.keys(checks).forEach((name) => {
+      if (name in ready && !checks[name](ready[name])) {
+        throw new Error(`The \`ready.${name}\` option has an invalid value`);
+      }
+    });
+
+    if (ready.stdout && this._options.stdio !== null) {
+      throw new Error('The `ready.stdout` option can\'t be used with a custom `stdio`');
+    }
+  }
+  /**
+   * Generates the settings for the Node inspector based on the `inspect` option.
+   * @param {Boolean|Number|Object} inspect The value of the option.
+   * @return {WebpackNodeUtilsRunnerInspectOptions|Null}
+   * @ignore
+   */
+  _normalizeInspectOption(inspect) {
+    let result = null;
+    if (inspect) {
+      const defaults = {
+        port: 9229,
+        host: '127.0.0.1',
+        brk: false,
+      };
+      if (typeof inspect === 'number') {
+        result = Object.assign(defaults, { port: inspect });
+      } else if (typeof inspect === 'object') {
+        result = Object.assign(defaults, inspect);
+      } else {
+        result = defaults;
+      }
+    }
+
+    return result;
   }
   /**
    * Using the `_logColors` property, this method creates (more) methods for logging different
@@ -82,7 +613,7 @@ class WebpackNodeUtilsRunner {
   _defineLogMethods() {
     Object.keys(this._logColors).forEach((name) => {
       const fname = name.substr(0, 1).toUpperCase() + name.substr(1);
-      this[`_log${fname}`] = (msg) => this._log(msg, this._logColors[name]);
+      this[`_log${fname}`] = (msg) => this._log(msg, name);
     });
   }
   /**
@@ -93,17 +624,26 @@ class WebpackNodeUtilsRunner {
   _bindMethods() {
     [
       'apply',
+      'start',
+      'stop',
+      'restart',
       '_onAssetsEmitted',
       '_onCompilationStarts',
       '_onCompilationEnds',
+      '_onWatchClosed',
+      '_onCommand',
     ].forEach((m) => {
       this[m] = this[m].bind(this);
     });
   }
   /**
-   * This method is called on the Webpack `after-emit` event, it validates the entry asset set
+   * This method is called on the Webpack `after-emit` event, it validates the entries set
    * on the plugin constructor, finds a fallback if needed, inform via logging what's doing and
-   * saves the absolute path of the file it will use to run the build.
+   * saves the absolute paths of the files it will use to run the build. On every build, it
+   * updates the paths of the files (in case their names changed) and saves the hash of the
+   * chunks of each entry, so the plugin can later decide if they need to be restarted. When the
+   * entries are `'*'` or a function, it also selects the entries that get added after the
+   * first build.
    * @param {Object}   compilation A dictionary Webpack provides with the information of the
    *                               assets it's going to build.
    * @param {Function} callback    A callback function Webpack requires for the method to call
@@ -111,65 +651,1185 @@ class WebpackNodeUtilsRunner {
    * @ignore
    */
   _onAssetsEmitted(compilation, callback) {
-    if (!this._setup) {
+    const previousEntries = Object.keys(this._availableEntries);
+    this._availableEntries = this._getAvailableEntries(compilation);
+    if (this._setup && (this._entries === '*' || typeof this._entries === 'function')) {
+      this._addNewEntries(Object.keys(this._availableEntries)
+      .filter((entry) => !previousEntries.includes(entry) && !this._getProcess(entry)));
+    } else if (!this._setup) {
       this._setup = true;
-      const entries = Object.keys(compilation.assets)
-      .filter((a) => (
-        !a.includes('hot-update') &&
-        compilation.assets[a].existsAt &&
-        compilation.assets[a].existsAt.match(/\.js$/i)
+      this._log();
+      this._processes = this._selectEntries(Object.keys(this._availableEntries))
+      .map((entry, index) => this._createProcess(
+        entry,
+        this._availableEntries[entry].path,
+        index
       ));
 
-      this._log();
-      if (this._entry && entries.indexOf(this._entry) === -1) {
-        this._logError(`The required entry (${this._entry}) doesn't exist`);
-        this._entry = null;
+      this._processes.forEach((proc) => this._emitEntrySelected(proc));
+      if (this._options.interactive) {
+        this._logInfo(
+          'Type `rs` to restart, `stop` or `start` to control the processes, and `entries` ' +
+          'to switch entries'
+        );
+      }
+    }
+
+    this._processes.forEach(({ entry }) => {
+      const proc = this._getProcess(entry);
+      const available = this._availableEntries[entry];
+      if (available) {
+        proc.path = available.path;
+        proc.buildHash = this._getEntryHash(compilation, available.file);
+      } else {
+        proc.buildHash = null;
+        this._logWarn(`The entry ${entry} is not on the build anymore`);
+      }
+    });
+
+    callback();
+  }
+  /**
+   * Gets the entries Webpack generated on a build. If the compilation has information about
+   * the entrypoints, the entries will be their names, with their main JS file; otherwise, the
+   * plugin will use the names of the JS assets.
+   * @param {Object} compilation The Webpack compilation.
+   * @return {Object<String,WebpackNodeUtilsRunnerEntry>}
+   * @ignore
+   */
+  _getAvailableEntries(compilation) {
+    const { assets } = compilation;
+    const isScript = (file) => {
+      const assetPath = this._getAssetPath(compilation, file);
+      return !file.includes('hot-update') && !!assetPath && !!assetPath.match(/\.js$/i);
+    };
+    const entrypoints = this._getEntrypoints(compilation);
+    const files = entrypoints.length ?
+      entrypoints.map(([name, entrypoint]) => [
+        name,
+        this._getEntrypointFiles(name, entrypoint).find(isScript),
+      ]) :
+      Object.keys(assets).map((file) => [file, file]);
+
+    return files
+    .filter(([, file]) => file && isScript(file))
+    .reduce((acc, [name, file]) => Object.assign(acc, {
+      [name]: {
+        file,
+        path: path.resolve(this._getAssetPath(compilation, file)),
+      },
+    }), {});
+  }
+  /**
+   * Gets the path where an asset was written: Webpack 4 and older tell it with the
+   * `existsAt` property of the asset, but newer versions don't, so the path is generated
+   * with the output directory of the compilation and the name of the asset. The output
+   * directory can have placeholders (like `[hash]`), so it's resolved with the `getPath`
+   * method of the compilation, when available.
+   * @param {Object} compilation The Webpack compilation.
+   * @param {String} file        The name of the asset.
+   * @return {String|Null}
+   * @ignore
+   */
+  _getAssetPath(compilation, file) {
+    const asset = compilation.assets[file];
+    let outputPath = (compilation.outputOptions && compilation.outputOptions.path) ||
+      (compilation.compiler && compilation.compiler.outputPath);
+    let result = null;
+    if (asset && asset.existsAt) {
+      result = asset.existsAt;
+    } else if (asset && outputPath) {
+      if (typeof compilation.getPath === 'function') {
+        outputPath = compilation.getPath(outputPath, {});
+      }
+
+      result = path.join(outputPath, file);
+    }
+
+    return result;
+  }
+  /**
+   * Gets the list of entrypoints from a compilation. Depending on the Webpack version, they
+   * can be on a `Map` or a dictionary.
+   * @param {Object} compilation The Webpack compilation.
+   * @return {Array} A list of `[name, entrypoint]` pairs.
+   * @ignore
+   */
+  _getEntrypoints(compilation) {
+    const { entrypoints } = compilation;
+    let result = [];
+    if (entrypoints) {
+      result = entrypoints.entries ?
+        Array.from(entrypoints.entries()) :
+        Object.keys(entrypoints).map((name) => [name, entrypoints[name]]);
+    }
+
+    return result;
+  }
+  /**
+   * Gets the files of the chunk that runs an entrypoint: the entrypoint chunk, if Webpack
+   * provides it, the chunk with the same name as the entrypoint or, as fallback, the last
+   * one. The runtime chunk is not used because, when it's on its own file (like with
+   * `optimization.runtimeChunk`), it only has the Webpack bootstrap.
+   * @param {String} name       The name of the entrypoint.
+   * @param {Object} entrypoint The entrypoint information.
+   * @return {Array}
+   * @ignore
+   */
+  _getEntrypointFiles(name, entrypoint) {
+    const chunks = Array.from(entrypoint.chunks || []);
+    const chunk = (entrypoint.getEntrypointChunk && entrypoint.getEntrypointChunk()) ||
+      chunks.find((item) => item.name === name) ||
+      chunks[chunks.length - 1];
+
+    return chunk ? Array.from(chunk.files || []) : [];
+  }
+  /**
+   * Finds an available entry by its name or the name of its file.
+   * @param {String} name The name of the entry or its file.
+   * @return {String|Undefined} The name of the entry.
+   * @ignore
+   */
+  _findAvailableEntry(name) {
+    return this._availableEntries[name] ?
+      name :
+      Object.keys(this._availableEntries)
+      .find((entry) => this._availableEntries[entry].file === name);
+  }
+  /**
+   * Logs the file of a selected entry and emits the `entry-selected` event.
+   * @param {WebpackNodeUtilsRunnerProcess} proc The process information.
+   * @ignore
+   */
+  _emitEntrySelected(proc) {
+    this._logSuccess(`Entry file: ${proc.path}`);
+    this.emit('entry-selected', {
+      entry: proc.entry,
+      path: proc.path,
+    });
+  }
+  /**
+   * Generates a hash for an entry using the hashes of the chunks that generated its file and
+   * the chunks those depend on (the ones on the same entrypoint, and the async ones).
+   * @param {Object} compilation The Webpack compilation.
+   * @param {String} file        The name of the entry file.
+   * @return {String|Null} If the compilation doesn't have information about the chunks, it
+   *                       will return `null`.
+   * @ignore
+   */
+  _getEntryHash(compilation, file) {
+    let result = null;
+    const chunks = Array.from(compilation.chunks || [])
+    .filter((chunk) => Array.from(chunk.files || []).includes(file));
+    if (chunks.length) {
+      const groups = this._getEntrypoints(compilation).map(([, group]) => group);
+      const related = new Set(chunks);
+      chunks.forEach((chunk) => {
+        groups
+        .filter((group) => (group.chunks || []).includes(chunk))
+        .forEach((group) => group.chunks.forEach((groupChunk) => related.add(groupChunk)));
+        if (chunk.getAllAsyncChunks) {
+          chunk.getAllAsyncChunks().forEach((asyncChunk) => related.add(asyncChunk));
+        }
+      });
+
+      result = Array.from(related)
+      .map((chunk) => `${chunk.id}:${chunk.hash}`)
+      .sort()
+      .join(',');
+    }
+
+    return result;
+  }
+  /**
+   * Selects which entries the plugin should execute from the list of available entries,
+   * using the ones set on the constructor (or the function to filter them), and logs the
+   * result.
+   * @param {Array} entries The list of available entries.
+   * @return {Array}
+   * @ignore
+   */
+  _selectEntries(entries) {
+    let result = [];
+    if (this._entries === '*' || (!this._entries && entries.length === 1)) {
+      result = entries;
+      if (!entries.length) {
+        this._logError('There are no entries available');
+      } else if (this._entries) {
+        this._logSuccess(`Using all the available entries: ${entries.join(', ')}`);
+      } else {
+        this._logSuccess(`Using the only available entry: ${entries[0]}`);
+      }
+    } else if (!this._entries && entries.length > 1) {
+      result = [entries[0]];
+      this._logWarn(`Doing fallback to the first entry: ${entries[0]}`);
+      this._logAvailableEntries(entries);
+    } else if (!this._entries) {
+      this._logError('There are no entries available');
+    } else if (typeof this._entries === 'function') {
+      result = entries.filter((entry) => this._entries(entry, this._availableEntries[entry].path));
+      if (!result.length) {
+        this._logError('None of the available entries matched the function');
         this._logAvailableEntries(entries);
-      } else if (!this._entry && entries.length === 1) {
-        [this._entry] = entries;
-        this._logSuccess(`Using the only available entry: ${this._entry}`);
-      } else if (!this._entry && entries.length > 1) {
-        [this._entry] = entries;
-        this._logWarn(`Doing fallback to the first entry: ${this._entry}`);
+      }
+
+      this._logSelectedEntries(result);
+    } else {
+      let missing = false;
+      this._entries.forEach((name) => {
+        const entry = this._findAvailableEntry(name);
+        if (!entry) {
+          missing = true;
+          this._logError(`The required entry (${name}) doesn't exist`);
+        } else if (!result.includes(entry)) {
+          result.push(entry);
+        }
+      });
+
+      if (missing) {
         this._logAvailableEntries(entries);
+      }
+
+      this._logSelectedEntries(result);
+    }
+
+    return result;
+  }
+  /**
+   * When the entries are `'*'` or a function, this method is called with the entries that
+   * weren't available on the previous build, so the ones that should run get their processes
+   * too, and they get started when the build finishes.
+   * @param {Array} entries The list of new entries.
+   * @ignore
+   */
+  _addNewEntries(entries) {
+    const selected = this._entries === '*' ?
+      entries :
+      entries.filter((entry) => this._entries(entry, this._availableEntries[entry].path));
+    if (selected.length) {
+      const name = selected.length === 1 ? 'entry' : 'entries';
+      this._logSuccess(`Adding the new ${name}: ${selected.join(', ')}`);
+      const processes = selected.map((entry, index) => this._createProcess(
+        entry,
+        this._availableEntries[entry].path,
+        this._processes.length + index
+      ));
+      this._processes = this._processes.concat(processes);
+      processes.forEach((proc) => this._emitEntrySelected(proc));
+    }
+  }
+  /**
+   * Logs the entries the plugin selected from the ones set on the constructor.
+   * @param {Array} entries The list of selected entries.
+   * @ignore
+   */
+  _logSelectedEntries(entries) {
+    if (entries.length === 1) {
+      this._logSuccess(`Using the following entry: ${entries[0]}`);
+    } else if (entries.length) {
+      this._logSuccess(`Using the following entries: ${entries.join(', ')}`);
+    }
+  }
+  /**
+   * Creates the object the plugin uses to keep track of the process for an entry.
+   * @param {String} entry     The name of the entry.
+   * @param {String} entryPath The absolute path to the entry file.
+   * @param {Number} index     The position of the entry on the list of entries to run.
+   * @return {WebpackNodeUtilsRunnerProcess}
+   * @ignore
+   */
+  _createProcess(entry, entryPath, index) {
+    return {
+      entry,
+      path: entryPath,
+      index,
+      instance: null,
+      running: false,
+      stopping: null,
+      restarts: 0,
+      restartTimeout: null,
+      pendingStart: null,
+      inspectPort: null,
+      buildHash: null,
+      runningHash: null,
+      build: 0,
+      runningBuild: null,
+      startingAt: null,
+    };
+  }
+  /**
+   * Gets the information of the process for an entry.
+   * @param {String} entry The name of the entry.
+   * @return {WebpackNodeUtilsRunnerProcess|Undefined}
+   * @ignore
+   */
+  _getProcess(entry) {
+    return this._processes.find((proc) => proc.entry === entry);
+  }
+  /**
+   * Generates the name the plugin uses to refer to a process on the log messages. When
+   * running a single entry, it's just `bundle process`, otherwise, it includes the entry name.
+   * @param {WebpackNodeUtilsRunnerProcess} proc The process information.
+   * @return {String}
+   * @ignore
+   */
+  _getProcessName(proc) {
+    return this._processes.length > 1 ? `${proc.entry} process` : 'bundle process';
+  }
+  /**
+   * This method is called on the Webpack `compile` event. If a process was about to start,
+   * the start gets canceled.
+   * @ignore
+   */
+  _onCompilationStarts() {
+    this._processes.forEach(({ entry, running, instance }) => {
+      this._getProcess(entry).build += 1;
+      if (running && !instance) {
+        this._cancelStart(entry);
+      }
+    });
+  }
+  /**
+   * This method is called on the Webpack `done` event and it's in charge of start running the
+   * processes. If a process is already running, it will only be restarted if it's not running
+   * the last build and the hash of its entry changed (or if the plugin couldn't calculate it,
+   * or if the `forceRestart` option is enabled); and if the `hot` option is enabled, instead
+   * of restarting it, the plugin will tell it to apply the update.
+   * Since this is a new build, it also resets the counters of crash restarts and cancels any
+   * pending restart.
+   * If the build has errors, no process will be started, and depending on the `onBuildError`
+   * option, the running processes will be kept or stopped.
+   * @param {Object} stats The stats Webpack generates for the build.
+   * @ignore
+   */
+  _onCompilationEnds(stats) {
+    if (stats && stats.hasErrors()) {
+      this._onCompilationFailed();
+      return;
+    }
+
+    this._processes.forEach(({ entry }) => {
+      const proc = this._getProcess(entry);
+      proc.restarts = 0;
+      this._cancelStart(entry);
+      if (proc.running && proc.runningBuild !== proc.build) {
+        if (
+          !this._options.forceRestart &&
+          proc.buildHash &&
+          proc.buildHash === proc.runningHash
+        ) {
+          this._logInfo(
+            `The ${this._getProcessName(proc)} wasn't affected by the changes, ` +
+            'skipping the restart'
+          );
+          this._emitRestartSkipped(proc, 'unchanged');
+        } else if (this._hot && proc.instance) {
+          this._sendHotUpdate(entry);
+        } else {
+          this._stopInstance(entry);
+        }
+      }
+
+      if (!proc.running) {
+        this._startInstance(entry);
+      }
+    });
+  }
+  /**
+   * This method is called by `_onCompilationEnds` when the build has errors. It informs the
+   * user that the processes won't be restarted and, if the `onBuildError` option is set to
+   * `stop`, it stops the running processes.
+   * @ignore
+   */
+  _onCompilationFailed() {
+    if (this._processes.length) {
+      const name = this._processes.length > 1 ? 'processes' : 'bundle process';
+      this._logError(`The build failed, not restarting the ${name}`);
+      this._processes.forEach((proc) => this._emitRestartSkipped(proc, 'build-failed'));
+      if (this._options.onBuildError === 'stop') {
+        this._processes.forEach(({ entry, instance }) => {
+          if (instance) {
+            this._stopInstance(entry);
+          } else {
+            this._cancelStart(entry);
+          }
+        });
+      }
+    }
+  }
+  /**
+   * Tells a running process to apply the hot update of the last build, by sending it a
+   * signal or a message, depending on the `hot` option.
+   * @param {String} entry The name of the entry.
+   * @ignore
+   */
+  _sendHotUpdate(entry) {
+    const proc = this._getProcess(entry);
+    const { instance } = proc;
+    this._logInfo(`Sending the update to the ${this._getProcessName(proc)}`);
+    proc.runningHash = proc.buildHash;
+    proc.runningBuild = proc.build;
+    if (this._hot === 'signal') {
+      instance.kill(this._hotSignal);
+    } else {
+      instance.send({
+        type: this._hotMessages.update,
+        hash: proc.buildHash,
+      });
+    }
+
+    this.emit('hot-update', {
+      entry,
+      path: proc.path,
+      pid: instance.pid,
+    });
+  }
+  /**
+   * Listens for a process to reject a hot update, with a message or on its output, in order
+   * to restart it.
+   * @param {String}  entry    The name of the entry.
+   * @param {Object}  instance The forked process.
+   * @param {Boolean} piped    Whether or not the plugin is piping the output of the process.
+   * @ignore
+   */
+  _listenForHotRejections(entry, instance, piped) {
+    const { rejected } = this._hotMessages;
+    const onRejected = () => this._onHotUpdateRejected(entry, instance);
+    instance.on('message', (msg) => {
+      if (msg === rejected || (msg && msg.type === rejected)) {
+        onRejected();
+      }
+    });
+
+    if (piped) {
+      ['stdout', 'stderr'].forEach((name) => {
+        readline.createInterface({ input: instance[name] })
+        .on('line', (line) => {
+          if (this._hotRejectedExpression.test(line)) {
+            onRejected();
+          }
+        });
+      });
+    }
+  }
+  /**
+   * This method is called when a process can't apply a hot update, and it restarts it.
+   * @param {String} entry    The name of the entry.
+   * @param {Object} instance The process that rejected the update.
+   * @ignore
+   */
+  _onHotUpdateRejected(entry, instance) {
+    const proc = this._getProcess(entry);
+    if (instance === proc.instance) {
+      this._logWarn(`The ${this._getProcessName(proc)} couldn't apply the update, restarting it`);
+      this.emit('hot-update-rejected', {
+        entry,
+        path: proc.path,
+        pid: instance.pid,
+      });
+      this._stopInstance(entry);
+      this._startInstance(entry);
+    }
+  }
+  /**
+   * Emits the `restart-skipped` event for a process.
+   * @param {WebpackNodeUtilsRunnerProcess} proc   The process information.
+   * @param {String}                        reason Why the process wasn't restarted.
+   * @ignore
+   */
+  _emitRestartSkipped(proc, reason) {
+    this.emit('restart-skipped', {
+      entry: proc.entry,
+      path: proc.path,
+      pid: proc.instance ? proc.instance.pid : null,
+      reason,
+    });
+  }
+  /**
+   * Starts running an entry. If a previous process is still being stopped, it will wait for
+   * it to exit before forking the new one; and if the inspector is enabled, it will also wait
+   * for the plugin to find an available port.
+   * @param {String} entry The name of the entry.
+   * @return {Promise} A promise that gets resolved once the process is forked, or if the start
+   *                   gets canceled or fails.
+   * @ignore
+   */
+  _startInstance(entry) {
+    const proc = this._getProcess(entry);
+    proc.running = true;
+    proc.startingAt = Date.now();
+    this.emit('starting', {
+      entry,
+      path: proc.path,
+    });
+    if (!proc.stopping && !this._inspect) {
+      this._forkInstance(entry);
+      return Promise.resolve();
+    }
+
+    const request = {};
+    proc.pendingStart = request;
+    return Promise.resolve(proc.stopping)
+    .then(() => (this._inspect ? this._getInspectPort(entry) : null))
+    .then((inspectPort) => {
+      if (proc.pendingStart === request) {
+        proc.pendingStart = null;
+        this._forkInstance(entry, inspectPort);
+      }
+    })
+    .catch((error) => {
+      if (proc.pendingStart === request) {
+        proc.pendingStart = null;
+        proc.running = false;
+        this._logError(
+          `The ${this._getProcessName(proc)} couldn't be started: ${error.message}`
+        );
+      }
+    });
+  }
+  /**
+   * Forks an entry file and saves the reference to the process. If the plugin is running
+   * multiple entries and there's no custom `stdio` option, the output of the process will be
+   * prefixed with the entry name.
+   * @param {String}      entry              The name of the entry.
+   * @param {Number|Null} [inspectPort=null] The port for the Node inspector, if enabled.
+   * @ignore
+   */
+  _forkInstance(entry, inspectPort = null) {
+    const proc = this._getProcess(entry);
+    const { stdio, interactive } = this._options;
+    const prefixOutput = this._processes.length > 1;
+    const pipeOutput = stdio === null && (
+      prefixOutput ||
+      !!this._hot ||
+      !!(this._ready && this._ready.stdout)
+    );
+    const forkOptions = this._getForkOptions(inspectPort);
+    if (pipeOutput || (stdio === null && interactive)) {
+      const output = pipeOutput ? 'pipe' : 'inherit';
+      // The plugin reads the commands from the input, so the process can't share it.
+      const input = interactive ? 'ignore' : 'inherit';
+      forkOptions.stdio = [input, output, output, 'ipc'];
+    }
+
+    const instance = fork(proc.path, this._options.args, forkOptions);
+    instance.once('exit', (code, signal) => this._onInstanceExit(entry, instance, code, signal));
+    instance.on('error', (error) => this._onInstanceError(entry, instance, error));
+    if (pipeOutput) {
+      this._pipeOutput(instance, prefixOutput ? `[${proc.entry}] ` : '');
+    }
+
+    proc.instance = instance;
+    proc.runningHash = proc.buildHash;
+    proc.runningBuild = proc.build;
+    this._log();
+    // If the plugin needs to wait for the process to be ready, the success message is for later.
+    this._log(`Starting ${this._getProcessName(proc)}`, this._ready ? 'info' : 'success');
+    if (inspectPort) {
+      this._logInspectorURL(entry, instance, inspectPort);
+    }
+
+    this.emit('started', {
+      entry,
+      path: proc.path,
+      pid: instance.pid,
+      duration: Date.now() - proc.startingAt,
+    });
+
+    if (this._hot) {
+      this._listenForHotRejections(entry, instance, pipeOutput);
+    }
+
+    if (this._ready) {
+      this._waitForReady(entry, instance);
+    }
+  }
+  /**
+   * Pipes the output of a process to the output of the current process.
+   * @param {Object} instance The forked process.
+   * @param {String} prefix   A prefix for each line of the output. When running multiple
+   *                          entries, the plugin uses the entry name.
+   * @ignore
+   */
+  _pipeOutput(instance, prefix) {
+    [
+      ['stdout', process.stdout],
+      ['stderr', process.stderr],
+    ].forEach(([name, output]) => {
+      readline.createInterface({ input: instance[name] })
+      .on('line', (line) => output.write(`${prefix}${line}\n`));
+    });
+  }
+  /**
+   * Waits for a process to be ready, using the conditions of the `ready` option; once one of
+   * them is met, it logs it and emits the `ready` event. If the process doesn't get ready
+   * before the timeout, the plugin will log a warning; and if it exits, the plugin will just
+   * stop waiting.
+   * @param {String} entry    The name of the entry.
+   * @param {Object} instance The forked process.
+   * @return {Promise} A promise that gets resolved when the plugin stops waiting.
+   * @ignore
+   */
+  _waitForReady(entry, instance) {
+    const proc = this._getProcess(entry);
+    const name = this._getProcessName(proc);
+    const {
+      message,
+      stdout,
+      port,
+      host,
+      url,
+      timeout,
+      interval,
+    } = this._ready;
+    const startedAt = Date.now();
+    const cleanups = [];
+    let settled = false;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve('timeout'), timeout);
+      cleanups.push(() => clearTimeout(timer));
+
+      const onExit = () => resolve('exit');
+      instance.once('exit', onExit);
+      cleanups.push(() => instance.removeListener('exit', onExit));
+
+      if (message) {
+        const onMessage = (msg) => {
+          if (msg === message || (msg && msg.type === message)) {
+            resolve('ready');
+          }
+        };
+        instance.on('message', onMessage);
+        cleanups.push(() => instance.removeListener('message', onMessage));
+      }
+
+      if (stdout) {
+        const lines = readline.createInterface({ input: instance.stdout });
+        const onLine = (line) => {
+          if (stdout.test(line)) {
+            resolve('ready');
+          }
+        };
+        lines.on('line', onLine);
+        // Closing the interface would pause the output, which is also piped, so it only
+        // removes the listener.
+        cleanups.push(() => lines.removeListener('line', onLine));
+      }
+
+      if (port || url) {
+        const check = () => (port ?
+          this._isPortReachable(port, host) :
+          this._isURLReachable(url));
+        const poll = () => check()
+        .catch(() => false)
+        .then((reachable) => {
+          if (reachable) {
+            resolve('ready');
+          } else {
+            this._wait(interval).then(() => !settled && poll());
+          }
+        });
+        poll();
+      }
+    })
+    .then((result) => {
+      settled = true;
+      cleanups.forEach((cleanup) => cleanup());
+      if (result === 'ready') {
+        const duration = Date.now() - startedAt;
+        this._logSuccess(`The ${name} is ready (${duration}ms)`);
+        this.emit('ready', {
+          entry,
+          path: proc.path,
+          pid: instance.pid,
+          duration,
+        });
+      } else if (result === 'timeout') {
+        this._logWarn(`The ${name} didn't get ready after ${timeout}ms`);
+      }
+    });
+  }
+  /**
+   * Checks if a TCP port is accepting connections.
+   * @param {Number} port The port to check.
+   * @param {String} host The host where the port should be open.
+   * @return {Promise<Boolean,Error>}
+   * @ignore
+   */
+  _isPortReachable(port, host) {
+    return new Promise((resolve) => {
+      const socket = net.connect(port, host);
+      socket.once('connect', () => {
+        socket.end();
+        resolve(true);
+      });
+      socket.once('error', () => {
+        socket.destroy();
+        resolve(false);
+      });
+    });
+  }
+  /**
+   * Checks if a URL responds to a `GET` request. It doesn't matter the status of the
+   * response, just that the server responded.
+   * @param {String} url The URL to check.
+   * @return {Promise<Boolean,Error>}
+   * @ignore
+   */
+  _isURLReachable(url) {
+    return new Promise((resolve) => {
+      const client = url.match(/^https:/i) ? https : http;
+      try {
+        client.get(url, (res) => {
+          res.resume();
+          resolve(true);
+        })
+        .on('error', () => resolve(false));
+      } catch (ignore) {
+        resolve(false);
+      }
+    });
+  }
+  /**
+   * This method is called when a process exits. If the process wasn't stopped by the plugin,
+   * it logs the exit code (or signal) and, if the `restartOnCrash` option is enabled and the
+   * process failed, it schedules a restart.
+   * @param {String}      entry    The name of the entry.
+   * @param {Object}      instance The process that exited.
+   * @param {Number|Null} code     The exit code of the process.
+   * @param {String|Null} signal   The signal that terminated the process.
+   * @ignore
+   */
+  _onInstanceExit(entry, instance, code, signal) {
+    const proc = this._getProcess(entry);
+    if (instance === proc.instance) {
+      const name = this._getProcessName(proc);
+      proc.instance = null;
+      proc.running = false;
+      const info = {
+        entry,
+        path: proc.path,
+        pid: instance.pid,
+        code,
+        signal,
+      };
+      if (signal) {
+        this._logError(`The ${name} was terminated by ${signal}`);
+        this.emit('crashed', info);
+      } else if (code) {
+        this._logError(`The ${name} exited with code ${code}`);
+        this.emit('crashed', info);
       } else {
-        this._logSuccess(`Using the following entry: ${this._entry}`);
+        this._logInfo(`The ${name} exited`);
+        this.emit('stopped', info);
       }
 
-      if (this._entry) {
-        this._entryPath = path.resolve(compilation.assets[this._entry].existsAt);
-        this._logSuccess(`Entry file: ${this._entryPath}`);
+      if ((signal || code) && this._options.restartOnCrash) {
+        this._scheduleRestart(entry);
       }
     }
+  }
+  /**
+   * This method is called when a process emits an error. If the process couldn't be started
+   * (it doesn't have a `pid`), it won't emit an `exit` event, so it's handled as a crash;
+   * otherwise, the error was on a signal or a message, and it just gets logged.
+   * @param {String} entry    The name of the entry.
+   * @param {Object} instance The process that emitted the error.
+   * @param {Error}  error    The error the process emitted.
+   * @ignore
+   */
+  _onInstanceError(entry, instance, error) {
+    const proc = this._getProcess(entry);
+    const name = this._getProcessName(proc);
+    if (instance === proc.instance && !instance.pid) {
+      proc.instance = null;
+      proc.running = false;
+      this._logError(`The ${name} couldn't be started: ${error.message}`);
+      this.emit('crashed', {
+        entry,
+        path: proc.path,
+        pid: instance.pid,
+        code: null,
+        signal: null,
+        error,
+      });
 
-    callback();
+      if (this._options.restartOnCrash) {
+        this._scheduleRestart(entry);
+      }
+    } else {
+      this._logError(`The ${name} emitted an error: ${error.message}`);
+    }
   }
   /**
-   * This method is called on the Webpack `compile` event. It checks if the build is running and
-   * stops it.
+   * Schedules a restart for a crashed process. The delay for the restart is the
+   * `restartDelay` option doubled for every restart since the last build. If the process was
+   * already restarted `maxRestarts` times, it won't be restarted again until the next build.
+   * @param {String} entry The name of the entry.
    * @ignore
    */
-  _onCompilationStarts() {
-    if (this._entry && this._running && this._instance) {
-      this._logInfo('Stopping bundle process');
-      this._instance.kill();
-      this._instance = null;
-      this._running = false;
+  _scheduleRestart(entry) {
+    const proc = this._getProcess(entry);
+    const { maxRestarts, restartDelay } = this._options;
+    const name = this._getProcessName(proc);
+    if (proc.restarts < maxRestarts) {
+      let delay = restartDelay;
+      for (let i = 0; i < proc.restarts; i++) {
+        delay *= 2;
+      }
+
+      proc.restarts++;
+      this._logWarn(`Restarting the ${name} in ${delay}ms (${proc.restarts}/${maxRestarts})`);
+      proc.running = true;
+      proc.restartTimeout = setTimeout(() => {
+        proc.restartTimeout = null;
+        this._startInstance(entry);
+      }, delay);
+    } else {
+      this._logError(`The ${name} crashed ${maxRestarts} times, waiting for the next build`);
     }
   }
   /**
-   * This method is called on the Webpack `done` event and it's in charge of start running the
-   * build.
+   * Cancels a restart scheduled for a crashed process, or a start that is waiting for a
+   * previous process to exit.
+   * @param {String} entry The name of the entry.
    * @ignore
    */
-  _onCompilationEnds() {
-    if (this._entry && !this._running) {
-      this._instance = fork(this._entryPath);
-      this._log();
-      this._logSuccess('Starting bundle process');
-      this._running = true;
+  _cancelStart(entry) {
+    const proc = this._getProcess(entry);
+    if (proc.restartTimeout || proc.pendingStart) {
+      if (proc.restartTimeout) {
+        clearTimeout(proc.restartTimeout);
+        proc.restartTimeout = null;
+      }
+
+      proc.pendingStart = null;
+      proc.running = false;
+    }
+  }
+  /**
+   * Generates the options for `fork` based on the plugin options.
+   * @param {Number|Null} inspectPort The port for the Node inspector, if enabled.
+   * @return {Object}
+   * @ignore
+   */
+  _getForkOptions(inspectPort) {
+    const result = {
+      env: Object.assign({}, process.env, this._options.env),
+    };
+    ['execArgv', 'cwd', 'stdio'].forEach((option) => {
+      if (this._options[option] !== null) {
+        result[option] = this._options[option];
+      }
+    });
+
+    if (inspectPort) {
+      const { host, brk } = this._inspect;
+      const flag = brk ? '--inspect-brk' : '--inspect';
+      result.execArgv = (result.execArgv || process.execArgv)
+      .filter((arg) => !arg.match(/^--(?:inspect|debug)(?:-brk|-port)?(?:=|$)/))
+      .concat(`${flag}=${host}:${inspectPort}`);
+    }
+
+    return result;
+  }
+  /**
+   * Gets the port the inspector should use for a process. The plugin tries to reuse the port
+   * used by the previous process (waiting for it to be released) or the one from the
+   * `inspect` option (plus the entry index, when running multiple entries), and if it's
+   * taken, it looks for a free one.
+   * @param {String} entry The name of the entry.
+   * @return {Promise<Number,Error>}
+   * @ignore
+   */
+  _getInspectPort(entry) {
+    const proc = this._getProcess(entry);
+    const preferred = proc.inspectPort || (this._inspect.port + proc.index);
+    const attempts = proc.inspectPort ? this._inspectPortAttempts : 1;
+    return this._waitForPort(preferred, attempts)
+    .then((available) => (available ? preferred : this._findPort()))
+    .then((inspectPort) => {
+      if (inspectPort !== preferred) {
+        this._logWarn(
+          `The inspector port ${preferred} is in use, using ${inspectPort} instead`
+        );
+      }
+
+      proc.inspectPort = inspectPort;
+      return inspectPort;
+    });
+  }
+  /**
+   * Checks if a port is available and, if it's not, keeps checking until it is or the number
+   * of attempts runs out.
+   * @param {Number} port     The port to check.
+   * @param {Number} attempts How many times the port should be checked.
+   * @return {Promise<Boolean,Error>}
+   * @ignore
+   */
+  _waitForPort(port, attempts) {
+    return this._isPortAvailable(port)
+    .then((available) => (
+      available || attempts <= 1 ?
+        available :
+        this._wait(this._inspectRetryDelay)
+        .then(() => this._waitForPort(port, attempts - 1))
+    ));
+  }
+  /**
+   * Checks if a port is available on the inspector host by trying to listen on it.
+   * @param {Number} port The port to check.
+   * @return {Promise<Boolean,Error>}
+   * @ignore
+   */
+  _isPortAvailable(port) {
+    return new Promise((resolve) => {
+      const server = net.createServer();
+      server.once('error', () => resolve(false));
+      server.listen(port, this._inspect.host, () => {
+        server.close(() => resolve(true));
+      });
+    });
+  }
+  /**
+   * Finds a free port on the inspector host by letting the OS assign one.
+   * @return {Promise<Number,Error>}
+   * @ignore
+   */
+  _findPort() {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer();
+      server.once('error', reject);
+      server.listen(0, this._inspect.host, () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+      });
+    });
+  }
+  /**
+   * Logs the address of the inspector and, once it's ready, the DevTools URL to debug the
+   * process. The inspector may not be ready right after the process is forked, so the plugin
+   * will retry a few times before giving up.
+   * @param {String} entry       The name of the entry.
+   * @param {Object} instance    The process that has the inspector.
+   * @param {Number} inspectPort The port the inspector uses.
+   * @param {Number} [attempts]  How many times the plugin should try to get the URL.
+   * @ignore
+   */
+  _logInspectorURL(entry, instance, inspectPort, attempts = this._inspectPortAttempts) {
+    const { host } = this._inspect;
+    if (attempts === this._inspectPortAttempts) {
+      this._logInfo(
+        `Debugger listening on ${host}:${inspectPort}, open chrome://inspect to debug it`
+      );
+    }
+
+    this._getInspectorTargets(inspectPort)
+    .then((targets) => {
+      const [target] = targets;
+      if (target && target.devtoolsFrontendUrl) {
+        this._logInfo(`DevTools URL: ${target.devtoolsFrontendUrl}`);
+      }
+    })
+    .catch(() => {
+      if (attempts > 1) {
+        this._wait(this._inspectRetryDelay)
+        .then(() => {
+          if (this._getProcess(entry).instance === instance) {
+            this._logInspectorURL(entry, instance, inspectPort, attempts - 1);
+          }
+        });
+      }
+    });
+  }
+  /**
+   * Gets the list of targets the inspector exposes on its HTTP endpoint.
+   * @param {Number} inspectPort The port the inspector uses.
+   * @return {Promise<Array,Error>}
+   * @ignore
+   */
+  _getInspectorTargets(inspectPort) {
+    return new Promise((resolve, reject) => {
+      const url = `http://${this._inspect.host}:${inspectPort}/json/list`;
+      http.get(url, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => {
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      })
+      .on('error', reject);
+    });
+  }
+  /**
+   * Creates a promise that gets resolved after a given amount of milliseconds.
+   * @param {Number} ms How many milliseconds to wait.
+   * @return {Promise}
+   * @ignore
+   */
+  _wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+  /**
+   * Sends the `killSignal` to a process and waits for it to exit. If the process doesn't exit
+   * before the `killTimeout`, the plugin will send a `SIGKILL`.
+   * @param {String} entry The name of the entry.
+   * @return {Promise} A promise that gets resolved once the process exits.
+   * @ignore
+   */
+  _stopInstance(entry) {
+    const proc = this._getProcess(entry);
+    const { instance } = proc;
+    const { killSignal, killTimeout } = this._options;
+    const name = this._getProcessName(proc);
+    const info = {
+      entry,
+      path: proc.path,
+      pid: instance.pid,
+    };
+    const stoppingAt = Date.now();
+    this._logInfo(`Stopping ${name}`);
+    this.emit('stopping', Object.assign({}, info));
+    proc.instance = null;
+    proc.running = false;
+    proc.stopping = new Promise((resolve) => {
+      if (instance.exitCode !== null || instance.signalCode !== null) {
+        resolve([instance.exitCode, instance.signalCode]);
+        return;
+      }
+
+      const timeout = setTimeout(() => {
+        this._logWarn(`The ${name} didn't exit after ${killTimeout}ms, sending a SIGKILL`);
+        instance.kill('SIGKILL');
+      }, killTimeout);
+
+      instance.once('exit', (code, signal) => {
+        clearTimeout(timeout);
+        resolve([code, signal]);
+      });
+      instance.kill(killSignal);
+    })
+    .then(([code, signal]) => {
+      proc.stopping = null;
+      this.emit('stopped', Object.assign(info, {
+        code,
+        signal,
+        duration: Date.now() - stoppingAt,
+      }));
+    });
+
+    return proc.stopping;
+  }
+  /**
+   * Starts reading the commands the user types on the standard input.
+   * @ignore
+   */
+  _listenForCommands() {
+    if (!this._stdinInterface) {
+      this._stdinInterface = readline.createInterface({ input: process.stdin });
+      this._stdinInterface.on('line', this._onCommand);
+    }
+  }
+  /**
+   * This method is called on the Webpack `watch-close` event, and it stops reading the
+   * standard input, so it doesn't prevent the current process from exiting.
+   * @ignore
+   */
+  _onWatchClosed() {
+    if (this._stdinInterface) {
+      this._stdinInterface.close();
+      this._stdinInterface = null;
+    }
+  }
+  /**
+   * Handles a command typed on the standard input, when the `interactive` option is enabled.
+   * If the user just listed the entries, the line can also be the name or the number of an
+   * entry to switch to.
+   * @param {String} line The line the user typed.
+   * @ignore
+   */
+  _onCommand(line) {
+    const command = line.trim();
+    const selecting = this._selectingEntry;
+    this._selectingEntry = false;
+    if (selecting && this._getAvailableEntry(command)) {
+      this._switchEntry(this._getAvailableEntry(command));
+    } else if (command === 'rs') {
+      this.restart();
+    } else if (command === 'stop') {
+      this.stop();
+    } else if (command === 'start') {
+      this.start();
+    } else if (command === 'entries') {
+      this._listEntries();
+    } else if (command) {
+      this._logWarn(
+        `Unknown command: ${command}. The available commands are rs, stop, start and entries`
+      );
+    }
+  }
+  /**
+   * Logs the entries Webpack emitted on the last build, marking the ones the plugin is
+   * running, and lets the user choose one to switch to.
+   * @ignore
+   */
+  _listEntries() {
+    const entries = Object.keys(this._availableEntries);
+    if (entries.length) {
+      this._logInfo('These are the available entries:');
+      entries.forEach((entry, index) => {
+        const mark = this._getProcess(entry) ? ' (selected)' : '';
+        this._logInfo(`${index + 1}) ${entry}${mark}`);
+      });
+      this._logInfo('Type the name or the number of the entry you want to run');
+      this._selectingEntry = true;
+    } else {
+      this._logWarn('There are no entries available yet');
     }
   }
+  /**
+   * Finds an available entry by its name, the name of its file or its number on the list
+   * the `entries` command logs.
+   * @param {String} value The name, the file or the number of the entry.
+   * @return {String|Undefined}
+   * @ignore
+   */
+  _getAvailableEntry(value) {
+    return this._findAvailableEntry(value) ||
+      Object.keys(this._availableEntries)[Number(value) - 1];
+  }
+  /**
+   * Stops the running processes and replaces them with one for a different entry, without
+   * the need of a new build.
+   * @param {String} entry The name of the entry to run.
+   * @return {Promise} A promise that gets resolved once the new process is forked.
+   * @ignore
+   */
+  _switchEntry(entry) {
+    let result;
+    if (this._processes.length === 1 && this._getProcess(entry)) {
+      this._logInfo(`The entry ${entry} is already selected`);
+      result = Promise.resolve();
+    } else {
+      this._logInfo(`Switching to the entry: ${entry}`);
+      const entryPath = this._availableEntries[entry].path;
+      result = this.stop()
+      .then(() => {
+        this._processes = [this._createProcess(entry, entryPath, 0)];
+        this._emitEntrySelected(this._processes[0]);
+        return this.start();
+      });
+    }
+
+    return result;
+  }
   /**
    * This is a utility method used when validating the assets. If the plugin needs to fallback
    * because no entry was specified or the one specified doesn't exist, the plugin uses this
@@ -181,16 +1841,33 @@ class WebpackNodeUtilsRunner {
     this._logInfo(`These are the available entries: ${list}`);
   }
   /**
-   * A utility method the plugin uses to log messages with the plugin name as a prefix and an
-   * specific color (from the `colors` package).
-   * @param {String} msg   The message to log.
-   * @param {String} color The name of the color to use. It must be available on the `colors`
-   *                       package.
+   * A utility method the plugin uses to log messages with the `logPrefix` option as a prefix.
+   * If there's a custom `logger`, the message will be sent to the method for its type;
+   * otherwise, it will be logged with `console.log` and, if colors are enabled, with the
+   * color for its type (from the `colors` package).
+   * Messages with a lower priority than the `logLevel` option won't be logged, and if there's
+   * a custom logger, empty messages (used as separators) will be ignored.
+   * @param {String} msg    The message to log.
+   * @param {String} [type] The type of message. It must be one of the keys of the
+   *                        `_logColors` dictionary. If not specified, the message will be
+   *                        treated as `info` and logged without color.
    */
-  _log(msg, color) {
-    const logMsg = msg ? `[WebpackNodeUtilsRunner] ${msg}` : '';
-    const logColor = color || 'white';
-    console.log(colors[logColor](logMsg));
+  _log(msg, type) {
+    const { logger, logLevel, logPrefix } = this._options;
+    const level = type || 'info';
+    if (this._logLevels[level] <= this._logLevels[logLevel]) {
+      const logMsg = msg && logPrefix ? `${logPrefix} ${msg}` : (msg || '');
+      if (logger) {
+        if (logMsg) {
+          const method = typeof logger[level] === 'function' ? level : 'info';
+          logger[method](logMsg);
+        }
+      } else if (this._useColors) {
+        console.log(colors[type ? this._logColors[type] : 'white'](logMsg));
+      } else {
+        console.log(logMsg);
+      }
+    }
   }
 }
 
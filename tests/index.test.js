@@ -1,4 +1,4 @@
-/* eslint-disable global-require, new-cap */
+/* eslint-disable global-require, new-cap, no-console */
 
 jest.unmock('../src/index');
 jest.unmock('fs');
@@ -7,6 +7,8 @@ const webpackNodeUtils = require('../src/index');
 const merge = require('webpack-merge');
 
 merge.mockImplementation((obj1, obj2) => Object.assign({}, obj1, obj2));
+const strategyMerge = jest.fn((obj1, obj2) => Object.assign({}, obj1, obj2));
+merge.strategy.mockImplementation(() => strategyMerge);
 
 describe('webpack-node-utils', () => {
   it('should throw an error if you try to create an instance', () => {
@@ -94,6 +96,663 @@ describe('webpack-node-utils', () => {
     expect(config.params).toEqual(defaultParams);
   });
 
+  it('should generate the hash using a strategy', () => {
+    const now = 25092015;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const versionHash = require.requireActual('crypto')
+    .createHash('md5')
+    .update('1.0.0')
+    .digest('hex');
+    const getParams = (useHash) => webpackNodeUtils.config(
+      'tests/mocks',
+      'app',
+      'production',
+      useHash,
+      {},
+      'custom'
+    ).params;
+
+    expect(getParams('timestamp')).toEqual({
+      hash: now,
+      hashStr: `.${now}`,
+    });
+    expect(getParams({ length: 4 })).toEqual({
+      hash: '2509',
+      hashStr: '.2509',
+    });
+    expect(getParams('version')).toEqual({
+      hash: versionHash,
+      hashStr: `.${versionHash}`,
+    });
+    expect(getParams({
+      strategy: 'version',
+      length: 8,
+    })).toEqual({
+      hash: versionHash.substr(0, 8),
+      hashStr: `.${versionHash.substr(0, 8)}`,
+    });
+    expect(getParams(() => 'custom-hash')).toEqual({
+      hash: 'custom-hash',
+      hashStr: '.custom-hash',
+    });
+    Date.now.mockRestore();
+  });
+
+  it('should generate the hash using the git commit SHA', () => {
+    const sha = '0123456789abcdef0123456789abcdef01234567';
+    const packedSha = 'fedcba9876543210fedcba9876543210fedcba98';
+    let files = {};
+    jest.spyOn(webpackNodeUtils, 'read').mockImplementation((file) => {
+      if (typeof files[file] === 'undefined') {
+        throw new Error(`ENOENT: ${file}`);
+      }
+
+      return files[file];
+    });
+    const getHash = (useHash) => webpackNodeUtils.config(
+      'tests/mocks',
+      'app',
+      'production',
+      useHash,
+      {},
+      'custom'
+    ).params.hash;
+
+    files = {
+      '.git/HEAD': `${sha}\n`,
+    };
+    expect(getHash('git')).toBe(sha);
+    files = {
+      '.git/HEAD': 'ref: refs/heads/master\n',
+      '.git/refs/heads/master': `${sha}\n`,
+    };
+    expect(getHash({
+      strategy: 'git',
+      length: 7,
+    })).toBe('0123456');
+    files = {
+      '.git/HEAD': 'ref: refs/heads/master\n',
+      '.git/packed-refs': [
+        '# pack-refs with: peeled fully-peeled sorted',
+        `${sha} refs/heads/develop`,
+        `${packedSha} refs/heads/master`,
+        '^0000000000000000000000000000000000000000',
+      ].join('\n'),
+    };
+    expect(getHash('git')).toBe(packedSha);
+    files = {
+      '.git/HEAD': 'ref: refs/heads/master\n',
+    };
+    expect(() => getHash('git'))
+    .toThrowError('The git commit SHA couldn\'t be read, the reference \'refs/heads/master\' is missing');
+    files = {};
+    expect(() => getHash('git'))
+    .toThrowError('The git commit SHA couldn\'t be read, the \'.git\' directory is missing');
+    files = {
+      '.git': 'gitdir: ../main/.git/worktrees/feature\n',
+      '../main/.git/worktrees/feature/HEAD': 'ref: refs/heads/feature\n',
+      '../main/.git/worktrees/feature/commondir': '../..\n',
+      '../main/.git/refs/heads/feature': `${sha}\n`,
+    };
+    expect(getHash('git')).toBe(sha);
+    files = {
+      '.git': 'gitdir: ../.git/modules/app\n',
+      '../.git/modules/app/HEAD': 'ref: refs/heads/master\n',
+      '../.git/modules/app/packed-refs': `${packedSha} refs/heads/master`,
+    };
+    expect(getHash('git')).toBe(packedSha);
+    files = {
+      '.git': 'gitdir: ../.git/modules/app\n',
+    };
+    expect(() => getHash('git'))
+    .toThrowError(
+      'The git commit SHA couldn\'t be read, the \'../.git/modules/app\' directory is missing'
+    );
+    files = {
+      '.git': 'something else',
+    };
+    expect(() => getHash('git'))
+    .toThrowError(
+      'The git commit SHA couldn\'t be read, the \'.git\' file doesn\'t point to a directory'
+    );
+    webpackNodeUtils.read.mockRestore();
+  });
+
+  it('should throw an error if the hash options are invalid', () => {
+    const getParams = (useHash) => webpackNodeUtils.config(
+      'tests/mocks',
+      'app',
+      'production',
+      useHash
+    );
+
+    expect(() => getParams('md5'))
+    .toThrowError('The hash strategy must be \'timestamp\', \'git\', \'version\' or a function');
+    expect(() => getParams({ length: 0 }))
+    .toThrowError('The hash length must be a positive integer');
+    expect(() => getParams({ length: 2.5 }))
+    .toThrowError('The hash length must be a positive integer');
+    expect(() => getParams({ length: '7' }))
+    .toThrowError('The hash length must be a positive integer');
+  });
+
+  it('should reject the promise if the hash can\'t be generated', () => (
+    webpackNodeUtils.configAsync('tests/mocks', 'app', 'production', 'md5')
+    .then(() => {
+      expect(true).toBeFalse();
+    })
+    .catch((error) => {
+      expect(error.message).toBe(
+        'The hash strategy must be \'timestamp\', \'git\', \'version\' or a function'
+      );
+    })
+  ));
+
+  it('should merge a configuration using a merge strategy', () => {
+    const config = webpackNodeUtils.config(
+      'tests/mocks',
+      'worker',
+      'development'
+    );
+
+    expect(merge.mock.calls.length).toBe(0);
+    expect(merge.strategy).toHaveBeenCalledTimes(1);
+    expect(merge.strategy).toHaveBeenCalledWith({ fromBase: 'replace' });
+    expect(strategyMerge).toHaveBeenCalledTimes(1);
+    expect(config).toEqual({
+      name: 'worker-development',
+      fromBase: false,
+    });
+  });
+
+  it('should merge a configuration using a custom function', () => {
+    const config = webpackNodeUtils.config(
+      'tests/mocks',
+      'worker',
+      'development',
+      false,
+      {},
+      'custom'
+    );
+
+    expect(merge.mock.calls.length).toBe(0);
+    expect(config).toEqual({
+      name: 'worker-development-custom',
+      baseName: 'base',
+    });
+  });
+
+  it('should remove the merge strategy from a configuration that doesn\'t extend', () => {
+    const config = webpackNodeUtils.config(
+      'tests/mocks',
+      'worker',
+      'development',
+      false,
+      {},
+      'standalone'
+    );
+
+    expect(config).toEqual({
+      name: 'worker-development-standalone',
+    });
+  });
+
+  it('should throw an error if a merge strategy is invalid', () => {
+    expect(() => webpackNodeUtils.config(
+      'tests/mocks',
+      'worker',
+      'development',
+      false,
+      {},
+      'invalid'
+    ))
+    .toThrowError('The merge strategy on \'worker.development\' must be a dictionary or a function');
+    expect(() => webpackNodeUtils.config(
+      'tests/mocks',
+      'worker',
+      'development',
+      false,
+      {},
+      'invalidProperty'
+    ))
+    .toThrowError(
+      'The merge strategy for \'entry\' on \'worker.development\' must be \'append\', ' +
+      '\'prepend\' or \'replace\''
+    );
+  });
+
+  it('should load a webpack configuration that extends a list of files', () => {
+    const config = webpackNodeUtils.config(
+      'tests/mocks',
+      'api',
+      'production'
+    );
+
+    expect(merge.mock.calls.length).toBe(2);
+    expect(merge.mock.calls[0][0].name).toBe('base');
+    expect(merge.mock.calls[0][1].name).toBe('node');
+    expect(config).toEqual({
+      name: 'api-production',
+      fromBase: true,
+      target: 'node',
+    });
+  });
+
+  it('should use the special variation on the files a configuration extends', () => {
+    const config = webpackNodeUtils.config(
+      'tests/mocks',
+      'api',
+      'production',
+      false,
+      {},
+      'library'
+    );
+
+    expect(config).toEqual({
+      name: 'api-production-library',
+      fromBase: true,
+      target: 'node',
+      libraryTarget: 'commonjs2',
+    });
+  });
+
+  it('should ignore an empty list of files to extend', () => {
+    const config = webpackNodeUtils.config(
+      'tests/mocks',
+      'api',
+      'production',
+      false,
+      {},
+      'standalone'
+    );
+
+    expect(merge.mock.calls.length).toBe(0);
+    expect(config).toEqual({
+      name: 'api-production-standalone',
+    });
+  });
+
+  it('should throw an error if a configuration file doesn\'t exist', () => {
+    expect(() => webpackNodeUtils.config('tests/mocks', 'api', 'development'))
+    .toThrowError(
+      'There\'s no \'development\' configuration file for \'api\'. These are the paths ' +
+      'that were tried: tests/mocks/api.development.js'
+    );
+    expect(() => webpackNodeUtils.config(
+      'tests/mocks',
+      'api',
+      'production',
+      false,
+      {},
+      'missing'
+    ))
+    .toThrowError(
+      'The configuration file \'browser\', extended by \'api.production\', doesn\'t exist. ' +
+      'These are the paths that were tried: tests/mocks/browser.js'
+    );
+  });
+
+  it('should load a webpack configuration using custom patterns and extensions', () => {
+    const directory = {
+      path: 'tests/mocks/targets',
+      patterns: ['[target]/[type]', '[target].[type]'],
+      extensions: ['.js', '.cjs'],
+    };
+    let config = null;
+    config = webpackNodeUtils.config(directory, 'back', 'dev');
+    expect(merge.mock.calls.length).toBe(0);
+    expect(config).toEqual({
+      name: 'back-dev',
+    });
+    config = webpackNodeUtils.config(directory, 'front', 'dev');
+    expect(config).toEqual({
+      name: 'front-dev',
+    });
+    config = webpackNodeUtils.config(directory, 'front', 'dev', false, {}, 'library');
+    expect(config).toEqual({
+      name: 'front-dev-library',
+    });
+    config = webpackNodeUtils.config(directory, 'lib', 'dev');
+    expect(config).toEqual({
+      name: 'lib-dev',
+    });
+  });
+
+  it('should throw an error if a configuration can\'t be found with custom patterns', () => {
+    const directory = {
+      path: 'tests/mocks/targets',
+      patterns: ['[target]/[type]', '[target].[type]'],
+      extensions: ['.js', '.cjs'],
+    };
+    expect(() => webpackNodeUtils.config(directory, 'lib', 'prod'))
+    .toThrowError(
+      'There\'s no \'prod\' configuration file for \'lib\'. These are the paths that ' +
+      'were tried: tests/mocks/targets/lib/prod.js, tests/mocks/targets/lib/prod.cjs, ' +
+      'tests/mocks/targets/lib.prod.js, tests/mocks/targets/lib.prod.cjs'
+    );
+    expect(() => webpackNodeUtils.config(directory, 'back', 'dev', false, {}, 'shared'))
+    .toThrowError(
+      'The configuration file \'shared\', extended by \'back/dev\', doesn\'t exist. ' +
+      'These are the paths that were tried: tests/mocks/targets/shared.js, ' +
+      'tests/mocks/targets/shared.cjs'
+    );
+  });
+
+  it('should load a JSON configuration file', () => {
+    const config = webpackNodeUtils.config(
+      {
+        path: 'tests/mocks/targets',
+        patterns: ['[target]/[type]'],
+        extensions: ['.js', '.json'],
+      },
+      'back',
+      'dev',
+      false,
+      {},
+      'shared'
+    );
+
+    expect(merge.mock.calls.length).toBe(1);
+    expect(config).toEqual({
+      name: 'back-dev-shared',
+      fromShared: true,
+    });
+  });
+
+  it('should throw an error if the directory options are invalid', () => {
+    expect(() => webpackNodeUtils.config({}, 'app', 'production'))
+    .toThrowError('The configurations directory must be a string');
+    expect(() => webpackNodeUtils.config(
+      {
+        path: 'tests/mocks',
+        patterns: ['[type]'],
+      },
+      'app',
+      'production'
+    ))
+    .toThrowError(
+      'The configurations patterns must be a list of strings with a \'[target]\' placeholder'
+    );
+    expect(() => webpackNodeUtils.config(
+      {
+        path: 'tests/mocks',
+        patterns: [],
+      },
+      'app',
+      'production'
+    ))
+    .toThrowError(
+      'The configurations patterns must be a list of strings with a \'[target]\' placeholder'
+    );
+    expect(() => webpackNodeUtils.config(
+      {
+        path: 'tests/mocks',
+        extensions: ['js'],
+      },
+      'app',
+      'production'
+    ))
+    .toThrowError('The configurations extensions must be a list of extensions, like \'.js\'');
+  });
+
+  it('should throw an error if a configuration doesn\'t export the variation', () => {
+    expect(() => webpackNodeUtils.config(
+      'tests/mocks',
+      'api',
+      'production',
+      false,
+      {},
+      'server'
+    ))
+    .toThrowError('The configuration file \'tests/mocks/api.production.js\' doesn\'t export \'server\'');
+  });
+
+  it('should throw an error if there\'s a circular inheritance', () => {
+    expect(() => webpackNodeUtils.config('tests/mocks', 'cycle', 'first'))
+    .toThrowError(
+      'Circular inheritance on the configurations: cycle.first -> cycle.second -> cycle.first'
+    );
+  });
+
+  it('should load a webpack configuration asynchronously', () => (
+    webpackNodeUtils.configAsync(
+      'tests/mocks',
+      'service',
+      'production',
+      false,
+      {
+        remoteURL: 'https://homer0.com',
+      }
+    )
+    .then((config) => {
+      expect(merge.mock.calls.length).toBe(2);
+      expect(config).toEqual({
+        name: 'service-production',
+        fromBase: true,
+        remoteURL: 'https://homer0.com',
+        hash: '',
+      });
+    })
+  ));
+
+  it('should load a synchronous webpack configuration asynchronously', () => (
+    webpackNodeUtils.configAsync('tests/mocks', 'app', 'production')
+    .then((config) => {
+      expect(merge.mock.calls.length).toBe(1);
+      expect(config).toEqual({
+        name: 'app-production',
+        fromBase: true,
+      });
+    })
+  ));
+
+  it('should reject the promise if an asynchronous configuration fails', () => (
+    webpackNodeUtils.configAsync('tests/mocks', 'service', 'development')
+    .then(() => {
+      expect(true).toBeFalse();
+    })
+    .catch((error) => {
+      expect(error.message).toBe(
+        'There\'s no \'development\' configuration file for \'service\'. These are the ' +
+        'paths that were tried: tests/mocks/service.development.js'
+      );
+    })
+  ));
+
+  it('should throw an error if a configuration returns a promise on sync mode', () => {
+    expect(() => webpackNodeUtils.config('tests/mocks', 'service', 'production'))
+    .toThrowError(
+      'The configuration file \'tests/mocks/service.production.js\' returned a promise, ' +
+      'use \'configAsync\' instead'
+    );
+  });
+
+  it('should load the webpack configurations for a list of targets', () => {
+    const configs = webpackNodeUtils.configs(
+      'tests/mocks',
+      ['app', 'api', 'app'],
+      'production'
+    );
+
+    expect(configs.map((config) => config.name)).toEqual([
+      'app-production',
+      'api-production',
+    ]);
+  });
+
+  it('should load the webpack configurations for the targets that match a pattern', () => {
+    expect(webpackNodeUtils.configs('tests/mocks', '*', 'development')
+    .map((config) => config.name))
+    .toEqual([
+      'server-development',
+      'worker-development',
+    ]);
+    expect(webpackNodeUtils.configs('tests/mocks', ['ap?', 'cycle.*'], 'production')
+    .map((config) => config.name))
+    .toEqual([
+      'api-production',
+      'app-production',
+    ]);
+  });
+
+  it('should use the same hash for all the targets', () => {
+    const now = 25092015;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const configs = webpackNodeUtils.configs(
+      'tests/mocks',
+      ['app'],
+      'production',
+      true,
+      {},
+      'custom'
+    );
+
+    expect(Date.now).toHaveBeenCalledTimes(1);
+    expect(configs[0].params).toEqual({
+      hash: now,
+      hashStr: `.${now}`,
+    });
+    Date.now.mockRestore();
+  });
+
+  it('should throw an error if no target matches the patterns', () => {
+    expect(() => webpackNodeUtils.configs('tests/mocks', ['front*', 'back*'], 'production'))
+    .toThrowError(
+      'There are no \'production\' configuration files on \'tests/mocks\' that match: ' +
+      'front*, back*'
+    );
+  });
+
+  it('should load the webpack configurations that match a pattern with custom layouts', () => {
+    const configs = webpackNodeUtils.configs(
+      {
+        path: 'tests/mocks/targets',
+        patterns: ['[target]/[type]', '[target].[type]'],
+        extensions: ['.js', '.cjs'],
+      },
+      '*',
+      'dev'
+    );
+
+    expect(configs.map((config) => config.name)).toEqual([
+      'back-dev',
+      'front-dev',
+      'lib-dev',
+    ]);
+  });
+
+  it('should load a webpack configuration using named options', () => {
+    const config = webpackNodeUtils.config({
+      directory: 'tests/mocks',
+      target: 'app',
+      type: 'production',
+      params: {
+        paramOne: 'charito',
+      },
+      fn: 'custom',
+    });
+
+    expect(merge.mock.calls.length).toBe(0);
+    expect(config.name).toBe('app-production-custom');
+    expect(config.params).toEqual({
+      hash: '',
+      hashStr: '',
+      paramOne: 'charito',
+    });
+  });
+
+  it('should load the webpack configurations for a list of targets using named options', () => {
+    const configs = webpackNodeUtils.configs({
+      directory: {
+        path: 'tests/mocks',
+      },
+      targets: ['app', 'api'],
+      type: 'production',
+      useHash: false,
+    });
+
+    expect(configs.map((config) => config.name)).toEqual([
+      'app-production',
+      'api-production',
+    ]);
+  });
+
+  it('should load a webpack configuration asynchronously using named options', () => (
+    webpackNodeUtils.configAsync({
+      directory: 'tests/mocks',
+      target: 'app',
+      type: 'production',
+    })
+    .then((config) => {
+      expect(config).toEqual({
+        name: 'app-production',
+        fromBase: true,
+      });
+    })
+  ));
+
+  it('should throw an error if the named options for a configuration are invalid', () => {
+    expect(() => webpackNodeUtils.config({
+      directory: 'tests/mocks',
+      target: 'app',
+      type: 'production',
+      variation: 'custom',
+    }))
+    .toThrowError(
+      'Unknown option \'variation\' for \'config\'. The available options are: ' +
+      'directory, target, type, useHash, params, fn'
+    );
+    expect(() => webpackNodeUtils.config({
+      directory: 'tests/mocks',
+      target: 'app',
+      type: 'production',
+      constructor: 1,
+    }))
+    .toThrowError('Unknown option \'constructor\' for \'config\'');
+    expect(() => webpackNodeUtils.config({
+      directory: 'tests/mocks',
+      type: 'production',
+    }))
+    .toThrowError('The option \'target\' for \'config\' is required');
+    expect(() => webpackNodeUtils.config({
+      directory: 'tests/mocks',
+      target: 'app',
+      type: 'production',
+      params: null,
+    }))
+    .toThrowError('The option \'params\' for \'config\' must be a dictionary');
+    expect(() => webpackNodeUtils.config({
+      directory: ['tests/mocks'],
+      target: 'app',
+      type: 'production',
+    }))
+    .toThrowError('The option \'directory\' for \'config\' must be a string or a dictionary');
+    expect(() => webpackNodeUtils.configs({
+      directory: 'tests/mocks',
+      targets: ['app'],
+      type: 'production',
+      useHash: 25092015,
+    }))
+    .toThrowError(
+      'The option \'useHash\' for \'configs\' must be a boolean, a string, a function ' +
+      'or a dictionary'
+    );
+  });
+
+  it('should reject the promise if the named options for a configuration are invalid', () => (
+    webpackNodeUtils.configAsync({
+      directory: 'tests/mocks',
+      target: /app/,
+      type: 'production',
+    })
+    .then(() => {
+      expect(true).toBeFalse();
+    })
+    .catch((error) => {
+      expect(error.message).toBe('The option \'target\' for \'configAsync\' must be a string');
+    })
+  ));
+
   it('should get the project dependencies as externals', () => {
     const externals = webpackNodeUtils.externals();
     expect(externals).toEqual({
@@ -137,6 +796,403 @@ describe('webpack-node-utils', () => {
     });
   });
 
+  it('should ignore dependencies using patterns on the externals', () => {
+    const externals = webpackNodeUtils.externals({}, true, null, [
+      'webpack-node-*',
+      /^colors\//,
+      (name) => name.endsWith('-cli'),
+    ]);
+
+    expect(externals).toEqual({
+      'webpack-merge': 'commonjs webpack-merge',
+      'custom-dep': 'commonjs custom-dep',
+      'normalize.css': 'commonjs normalize.css',
+    });
+  });
+
+  it('should throw an error if the list of dependencies to ignore is invalid', () => {
+    const message = 'The list of dependencies to ignore can only have strings, regular ' +
+      'expressions and functions';
+    expect(() => webpackNodeUtils.externals({}, false, [], 'custom-dep'))
+    .toThrowError(message);
+    expect(() => webpackNodeUtils.externals({}, false, [], ['custom-dep', 25]))
+    .toThrowError(message);
+  });
+
+  it('should generate a function to match the extras patterns', () => {
+    const externals = webpackNodeUtils.externals(
+      [
+        'my-mod',
+        'config/*',
+        /^secrets\//,
+        (request) => request === 'settings',
+      ],
+      false,
+      [],
+      ['custom-dep']
+    );
+    const callback = jest.fn();
+    externals('/app', 'my-mod', callback);
+    externals('/app', 'config/prod.json', callback);
+    externals('/app', 'secrets/keys', callback);
+    externals('/app', 'settings', callback);
+    externals('/app', 'webpack-merge', callback);
+    externals('/app', 'webpack-merge/lib/join-arrays', callback);
+    externals('/app', 'custom-dep', callback);
+
+    expect(callback.mock.calls).toEqual([
+      [null, 'commonjs my-mod'],
+      [null, 'commonjs config/prod.json'],
+      [null, 'commonjs secrets/keys'],
+      [null, 'commonjs settings'],
+      [null, 'commonjs webpack-merge'],
+      [null, undefined],
+      [null, undefined],
+    ]);
+  });
+
+  it('should ignore the sub paths that match the dependencies to ignore', () => {
+    const externals = webpackNodeUtils.externals({}, false, [], [/\.css$/], {
+      subPaths: true,
+    });
+    const callback = jest.fn();
+    externals('/app', 'custom-dep/lib', callback);
+    externals('/app', 'custom-dep/styles.css', callback);
+
+    expect(callback.mock.calls).toEqual([
+      [null, 'commonjs custom-dep/lib'],
+      [null, undefined],
+    ]);
+  });
+
+  it('should only return a dictionary if the extras are just names', () => {
+    const externals = webpackNodeUtils.externals(['my-mod'], false, [], []);
+    expect(externals).toEqual({
+      'webpack-merge': 'commonjs webpack-merge',
+      'custom-dep': 'commonjs custom-dep',
+      'my-mod': 'commonjs my-mod',
+    });
+  });
+
+  it('should throw an error if the extras are invalid', () => {
+    const message = 'The extras must be a dictionary of names and paths, or a list of ' +
+      'strings, regular expressions and functions';
+    expect(() => webpackNodeUtils.externals('my-mod')).toThrowError(message);
+    expect(() => webpackNodeUtils.externals(/my-mod/)).toThrowError(message);
+    expect(() => webpackNodeUtils.externals(['my-*', {}])).toThrowError(message);
+    expect(() => webpackNodeUtils.externals({ 'my-mod': true }, false)).toThrowError(message);
+  });
+
+  it('should include the peer and optional dependencies on the externals', () => {
+    const externals = webpackNodeUtils.externals({}, false, [], [], {
+      peer: true,
+      optional: true,
+    });
+
+    expect(externals).toEqual({
+      'webpack-merge': 'commonjs webpack-merge',
+      'custom-dep': 'commonjs custom-dep',
+      'peer-dep': 'commonjs peer-dep',
+      'optional-dep': 'commonjs optional-dep',
+    });
+  });
+
+  it('should include the workspaces packages on the externals', () => {
+    const externals = webpackNodeUtils.externals({}, false, [], [], {
+      workspaces: true,
+      peer: true,
+    });
+
+    expect(externals).toEqual({
+      'webpack-merge': 'commonjs webpack-merge',
+      'custom-dep': 'commonjs custom-dep',
+      'peer-dep': 'commonjs peer-dep',
+      '@homer0/alpha': 'commonjs @homer0/alpha',
+      'alpha-dep': 'commonjs alpha-dep',
+      'alpha-peer': 'commonjs alpha-peer',
+      beta: 'commonjs beta',
+    });
+  });
+
+  it('should include the workspaces packages defined with a dictionary', () => {
+    const packageJSON = webpackNodeUtils.require('package.json');
+    jest.spyOn(webpackNodeUtils, 'require').mockImplementation(() => ({
+      dependencies: packageJSON.dependencies,
+      workspaces: {
+        packages: ['./tests/mocks/workspaces/tools/*', 'tests/mocks/workspaces/missing/*'],
+      },
+    }));
+    expect(webpackNodeUtils.externals({}, false, [], [], { workspaces: true })).toEqual({
+      'webpack-merge': 'commonjs webpack-merge',
+      'custom-dep': 'commonjs custom-dep',
+      cli: 'commonjs cli',
+    });
+    webpackNodeUtils.require.mockImplementation(() => ({
+      dependencies: packageJSON.dependencies,
+    }));
+    expect(webpackNodeUtils.externals({}, false, [], [], { workspaces: true })).toEqual({
+      'webpack-merge': 'commonjs webpack-merge',
+      'custom-dep': 'commonjs custom-dep',
+    });
+    webpackNodeUtils.require.mockRestore();
+  });
+
+  it('should generate a function to match the sub paths of the externals', () => {
+    const externals = webpackNodeUtils.externals(
+      {
+        'my-mod': 'modules/my-mod.js',
+      },
+      false,
+      ['colors/safe'],
+      [],
+      { subPaths: true }
+    );
+    const callback = jest.fn();
+    externals('/app', 'webpack-merge', callback);
+    externals('/app', 'webpack-merge/lib/join-arrays', callback);
+    externals({ context: '/app', request: 'custom-dep/sub' }, callback);
+    externals('/app', 'colors/safe', callback);
+    externals('/app', 'my-mod', callback);
+    externals('/app', 'my-mod/sub', callback);
+    externals('/app', 'webpack-merger', callback);
+    externals('/app', './file', callback);
+
+    expect(callback.mock.calls).toEqual([
+      [null, 'commonjs webpack-merge'],
+      [null, 'commonjs webpack-merge/lib/join-arrays'],
+      [null, 'commonjs custom-dep/sub'],
+      [null, 'commonjs colors/safe'],
+      [null, 'commonjs modules/my-mod.js'],
+      [null, undefined],
+      [null, undefined],
+      [null, undefined],
+    ]);
+  });
+
+  it('should generate the externals with a custom type', () => {
+    const externals = webpackNodeUtils.externals(
+      {
+        'my-mod': 'modules/my-mod.js',
+      },
+      false,
+      [],
+      [],
+      {
+        type: 'commonjs2',
+        types: {
+          'custom-dep': 'import',
+        },
+      }
+    );
+
+    expect(externals).toEqual({
+      'webpack-merge': 'commonjs2 webpack-merge',
+      'custom-dep': 'import custom-dep',
+      'my-mod': 'commonjs2 modules/my-mod.js',
+    });
+  });
+
+  it('should generate umd externals', () => {
+    const externals = webpackNodeUtils.externals({}, false, ['@homer0/my-lib'], [], {
+      type: 'umd',
+    });
+
+    expect(externals).toEqual({
+      '@homer0/my-lib': {
+        commonjs: '@homer0/my-lib',
+        commonjs2: '@homer0/my-lib',
+        amd: '@homer0/my-lib',
+        root: 'homer0MyLib',
+      },
+      'webpack-merge': {
+        commonjs: 'webpack-merge',
+        commonjs2: 'webpack-merge',
+        amd: 'webpack-merge',
+        root: 'webpackMerge',
+      },
+      'custom-dep': {
+        commonjs: 'custom-dep',
+        commonjs2: 'custom-dep',
+        amd: 'custom-dep',
+        root: 'customDep',
+      },
+    });
+  });
+
+  it('should use the custom types on the externals function', () => {
+    const externals = webpackNodeUtils.externals(['config/*'], false, [], [], {
+      subPaths: true,
+      type: 'module',
+      types: {
+        'custom-dep': 'amd',
+      },
+    });
+    const callback = jest.fn();
+    externals('/app', 'webpack-merge/lib/join-arrays', callback);
+    externals('/app', 'custom-dep/lib', callback);
+    externals('/app', 'config/prod.json', callback);
+
+    expect(callback.mock.calls).toEqual([
+      [null, 'module webpack-merge/lib/join-arrays'],
+      [null, 'amd custom-dep/lib'],
+      [null, 'module config/prod.json'],
+    ]);
+  });
+
+  it('should throw an error if a type for the externals is not supported', () => {
+    const types = 'commonjs, commonjs2, node-commonjs, amd, umd, module, import';
+    expect(() => webpackNodeUtils.externals({}, false, [], [], { type: 'var' }))
+    .toThrowError(`The externals type must be one of: ${types}`);
+    expect(() => webpackNodeUtils.externals({}, false, [], [], {
+      types: {
+        'custom-dep': 'global',
+      },
+    }))
+    .toThrowError(`The externals type for 'custom-dep' must be one of: ${types}`);
+  });
+
+  it('should include the installed packages on the externals', () => {
+    const expected = {
+      'webpack-merge': 'commonjs webpack-merge',
+      'custom-dep': 'commonjs custom-dep',
+      '@homer0/scoped': 'commonjs @homer0/scoped',
+      'extraneous-pkg': 'commonjs extraneous-pkg',
+      lodash: 'commonjs lodash',
+    };
+
+    expect(webpackNodeUtils.externals({}, false, [], [], {
+      installed: 'tests/mocks/modules',
+    }))
+    .toEqual(expected);
+    expect(webpackNodeUtils.externals({}, true, [], [], {
+      installed: 'tests/mocks/modules',
+    }))
+    .toEqual(Object.assign({}, expected, {
+      'jest-cli': 'commonjs jest-cli',
+      'normalize.css': 'commonjs normalize.css',
+    }));
+  });
+
+  it('should ignore the installed packages if the directory doesn\'t exist', () => {
+    expect(webpackNodeUtils.externals({}, false, [], [], {
+      installed: 'tests/mocks/missing_modules',
+    })).toEqual({
+      'webpack-merge': 'commonjs webpack-merge',
+      'custom-dep': 'commonjs custom-dep',
+    });
+  });
+
+  it('should warn about the packages that are not installed or declared', () => {
+    const validate = jest.fn();
+    const externals = webpackNodeUtils.externals({}, false, [], [], {
+      installed: 'tests/mocks/modules',
+      validate,
+    });
+
+    expect(Object.keys(externals).length).toBe(5);
+    expect(validate.mock.calls).toEqual([
+      ['The dependency \'custom-dep\' is declared, but it\'s not installed'],
+      ['The package \'extraneous-pkg\' is installed, but it\'s not declared as a dependency'],
+    ]);
+  });
+
+  it('should log the warnings of the validation using the default directory', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const modulesPath = path.join(process.cwd(), 'node_modules');
+    const existsSync = fs.existsSync.bind(fs);
+    jest.spyOn(fs, 'existsSync')
+    .mockImplementation((file) => file !== modulesPath && existsSync(file));
+    jest.spyOn(webpackNodeUtils, 'require').mockImplementation(() => ({
+      dependencies: {
+        'webpack-merge': '4.1.2',
+      },
+    }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const externals = webpackNodeUtils.externals({}, false, [], [], {
+      installed: true,
+      validate: true,
+    });
+
+    expect(externals).toEqual({
+      'webpack-merge': 'commonjs webpack-merge',
+    });
+    expect(webpackNodeUtils.externals({}, false, [], [], { validate: true })).toEqual({
+      'webpack-merge': 'commonjs webpack-merge',
+    });
+    expect(fs.existsSync).toHaveBeenCalledWith(modulesPath);
+    expect(console.warn.mock.calls).toEqual([
+      ['The dependency \'webpack-merge\' is declared, but it\'s not installed'],
+      ['The dependency \'webpack-merge\' is declared, but it\'s not installed'],
+    ]);
+    console.warn.mockRestore();
+    webpackNodeUtils.require.mockRestore();
+    fs.existsSync.mockRestore();
+  });
+
+  it('should generate the externals using named options', () => {
+    const externals = webpackNodeUtils.externals({
+      extras: {
+        'my-mod': 'modules/my-mod.js',
+      },
+      addDev: true,
+      defaults: [],
+      ignore: ['normalize.css'],
+      type: 'commonjs2',
+    });
+
+    expect(externals).toEqual({
+      'webpack-merge': 'commonjs2 webpack-merge',
+      'custom-dep': 'commonjs2 custom-dep',
+      'jest-cli': 'commonjs2 jest-cli',
+      'my-mod': 'commonjs2 modules/my-mod.js',
+    });
+    expect(typeof webpackNodeUtils.externals({ subPaths: true })).toBe('function');
+    expect(webpackNodeUtils.externals({ type: 'amd' })['webpack-merge'])
+    .toBe('amd webpack-merge');
+  });
+
+  it('should use a single dictionary as extras if it doesn\'t have option names', () => {
+    const externals = webpackNodeUtils.externals({
+      'my-mod': 'modules/my-mod.js',
+    });
+
+    expect(externals['my-mod']).toBe('commonjs modules/my-mod.js');
+    expect(webpackNodeUtils.externals({ type: 'modules/type.js' }, false).type)
+    .toBe('commonjs modules/type.js');
+  });
+
+  it('should use a dictionary with option names as extras if it has more parameters', () => {
+    const externals = webpackNodeUtils.externals({
+      validate: './lib/validate.js',
+      types: './lib/types.js',
+    }, false);
+
+    expect(externals.validate).toBe('commonjs ./lib/validate.js');
+    expect(externals.types).toBe('commonjs ./lib/types.js');
+    expect(externals['webpack-merge']).toBe('commonjs webpack-merge');
+  });
+
+  it('should throw an error if the named options for the externals are invalid', () => {
+    expect(() => webpackNodeUtils.externals({
+      addDev: true,
+      peers: true,
+    }))
+    .toThrowError(
+      'Unknown option \'peers\' for \'externals\'. The available options are: extras, ' +
+      'addDev, defaults, ignore, subPaths, peer, optional, workspaces, type, types, ' +
+      'installed, validate'
+    );
+    expect(() => webpackNodeUtils.externals({ addDevv: true }))
+    .toThrowError('Unknown option \'addDevv\' for \'externals\'');
+    expect(() => webpackNodeUtils.externals({ addDev: 'yes' }))
+    .toThrowError('The option \'addDev\' for \'externals\' must be a boolean');
+    expect(() => webpackNodeUtils.externals({ validate: './lib/validate.js' }))
+    .toThrowError('The option \'validate\' for \'externals\' must be a boolean or a function');
+    expect(() => webpackNodeUtils.externals({ ignore: /\.css$/ }))
+    .toThrowError('The option \'ignore\' for \'externals\' must be a list');
+  });
+
   it('should require a module from the root directory', () => {
     const regularReq = require('./mocks/package');
     const dynamicReq = webpackNodeUtils.require('tests/mocks/package');
@@ -0,0 +1,19 @@
+module.exports = () => ({
+  extends: ['base', 'node'],
+  name: 'api-production',
+});
+
+module.exports.library = () => ({
+  extends: ['base', 'node'],
+  name: 'api-production-library',
+});
+
+module.exports.standalone = () => ({
+  extends: [],
+  name: 'api-production-standalone',
+});
+
+module.exports.missing = () => ({
+  extends: ['base', 'browser'],
+  name: 'api-production-missing',
+});
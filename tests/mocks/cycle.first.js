@@ -0,0 +1,4 @@
+module.exports = () => ({
+  extends: 'cycle.second',
+  name: 'cycle-first',
+});
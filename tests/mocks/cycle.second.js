@@ -0,0 +1,4 @@
+module.exports = () => ({
+  extends: ['base', 'cycle.first'],
+  name: 'cycle-second',
+});
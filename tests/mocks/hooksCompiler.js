@@ -0,0 +1,30 @@
+class FakeHook {
+  constructor() {
+    this.taps = [];
+  }
+
+  tap(name, callback) {
+    this.taps.push({ name, callback, type: 'sync' });
+  }
+
+  tapAsync(name, callback) {
+    this.taps.push({ name, callback, type: 'async' });
+  }
+}
+
+module.exports = class FakeHooksCompiler {
+  constructor() {
+    this.hooks = {
+      afterEmit: new FakeHook(),
+      compile: new FakeHook(),
+      done: new FakeHook(),
+      watchClose: new FakeHook(),
+    };
+  }
+
+  trigger(hook, args = []) {
+    this.hooks[hook].taps.forEach((info) => {
+      info.callback.apply(undefined, args);
+    });
+  }
+};
@@ -0,0 +1,10 @@
+module.exports = () => ({
+  name: 'node',
+  target: 'node',
+});
+
+module.exports.library = () => ({
+  name: 'node-library',
+  target: 'node',
+  libraryTarget: 'commonjs2',
+});
@@ -1,4 +1,5 @@
 module.exports = {
+  version: '1.0.0',
   dependencies: {
     'webpack-merge': '0.14.0',
     'custom-dep': '1.1.2',
@@ -7,4 +8,14 @@ module.exports = {
     'normalize.css': '1.0.0',
     'jest-cli': '16.0.0',
   },
+  peerDependencies: {
+    'peer-dep': '1.0.0',
+  },
+  optionalDependencies: {
+    'optional-dep': '1.0.0',
+  },
+  workspaces: [
+    'tests/mocks/workspaces/packages/*',
+    'tests/mocks/workspaces/packages/alpha',
+  ],
 };
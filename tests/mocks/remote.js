@@ -0,0 +1,4 @@
+module.exports = (params) => Promise.resolve({
+  name: 'remote',
+  remoteURL: params.remoteURL,
+});
@@ -0,0 +1,5 @@
+module.exports = (params) => Promise.resolve({
+  extends: ['base', 'remote'],
+  name: 'service-production',
+  hash: params.hash,
+});
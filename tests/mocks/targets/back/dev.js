@@ -0,0 +1,8 @@
+module.exports = () => ({
+  name: 'back-dev',
+});
+
+module.exports.shared = () => ({
+  name: 'back-dev-shared',
+  extends: 'shared',
+});
@@ -0,0 +1,8 @@
+module.exports = {
+  default: () => ({
+    name: 'front-dev',
+  }),
+  library: () => ({
+    name: 'front-dev-library',
+  }),
+};
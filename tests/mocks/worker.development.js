@@ -0,0 +1,37 @@
+module.exports = () => ({
+  extends: 'base',
+  mergeStrategy: {
+    fromBase: 'replace',
+  },
+  name: 'worker-development',
+  fromBase: false,
+});
+
+module.exports.custom = () => ({
+  extends: 'base',
+  mergeStrategy: (baseConfig, config) => Object.assign({}, config, {
+    baseName: baseConfig.name,
+  }),
+  name: 'worker-development-custom',
+});
+
+module.exports.standalone = () => ({
+  mergeStrategy: {
+    entry: 'replace',
+  },
+  name: 'worker-development-standalone',
+});
+
+module.exports.invalid = () => ({
+  extends: 'base',
+  mergeStrategy: 'replace',
+  name: 'worker-development-invalid',
+});
+
+module.exports.invalidProperty = () => ({
+  extends: 'base',
+  mergeStrategy: {
+    entry: 'smart',
+  },
+  name: 'worker-development-invalid-property',
+});
@@ -2,17 +2,116 @@
 
 jest.unmock('../src/runner');
 jest.mock('child_process');
+jest.mock('net');
+jest.mock('http');
+jest.mock('https');
 const WebpackNodeUtilsRunner = require('../src/runner');
 const FakeCompiler = require('./mocks/compiler');
+const FakeHooksCompiler = require('./mocks/hooksCompiler');
 const { fork } = require('child_process');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const EventEmitter = require('events');
+const path = require('path');
+const { PassThrough } = require('stream');
+const colors = require('colors/safe');
 
 const originalLog = console.log;
+const { setImmediate: realSetImmediate } = require.requireActual('timers');
 require('jasmine-expect');
 
 const forkKill = jest.fn();
-fork.mockImplementation(() => ({
-  kill: forkKill,
-}));
+let ignoredSignals = [];
+let children = [];
+fork.mockImplementation(() => {
+  const child = new EventEmitter();
+  child.pid = 2509 + children.length;
+  child.exitCode = null;
+  child.signalCode = null;
+  child.stdout = new PassThrough();
+  child.stderr = new PassThrough();
+  child.send = jest.fn();
+  child.kill = (signal) => {
+    forkKill(signal);
+    if (!ignoredSignals.includes(signal)) {
+      child.signalCode = signal;
+      child.emit('exit', null, signal);
+    }
+  };
+
+  children.push(child);
+  return child;
+});
+
+let busyPorts = [];
+net.createServer.mockImplementation(() => {
+  const server = new EventEmitter();
+  let listeningPort = null;
+  server.listen = (port, host, callback) => {
+    if (busyPorts.includes(port)) {
+      server.emit('error', new Error('EADDRINUSE'));
+    } else {
+      listeningPort = port || 5000;
+      callback();
+    }
+  };
+  server.address = () => ({ port: listeningPort });
+  server.close = (callback) => callback();
+  return server;
+});
+
+let closedPorts = [];
+net.connect.mockImplementation((port) => {
+  const socket = new EventEmitter();
+  socket.end = jest.fn();
+  socket.destroy = jest.fn();
+  Promise.resolve().then(() => {
+    if (closedPorts.includes(port)) {
+      closedPorts.splice(closedPorts.indexOf(port), 1);
+      socket.emit('error', new Error('ECONNREFUSED'));
+    } else {
+      socket.emit('connect');
+    }
+  });
+
+  return socket;
+});
+
+let httpResponses = [];
+const httpGet = (url, callback) => {
+  const req = new EventEmitter();
+  const response = httpResponses.shift();
+  Promise.resolve().then(() => {
+    if (response instanceof Error) {
+      req.emit('error', response);
+    } else {
+      const res = new EventEmitter();
+      res.setEncoding = () => {};
+      res.resume = () => {};
+      callback(res);
+      res.emit('data', response);
+      res.emit('end');
+    }
+  });
+
+  return req;
+};
+http.get.mockImplementation(httpGet);
+https.get.mockImplementation(httpGet);
+
+const flushPromises = () => new Promise((resolve) => realSetImmediate(resolve));
+
+const originalStdin = process.stdin;
+const mockStdin = () => {
+  const stdin = new PassThrough();
+  Object.defineProperty(process, 'stdin', {
+    value: stdin,
+    configurable: true,
+  });
+
+  return stdin;
+};
 
 const getLogMock = () => {
   const mock = jest.fn();
@@ -23,6 +122,15 @@ const getLogMock = () => {
 describe('webpack-node-utils-runner', () => {
   afterEach(() => {
     console.log = originalLog;
+    Object.defineProperty(process, 'stdin', {
+      value: originalStdin,
+      configurable: true,
+    });
+    ignoredSignals = [];
+    children = [];
+    busyPorts = [];
+    closedPorts = [];
+    httpResponses = [];
     forkKill.mockClear();
     fork.mockClear();
   });
@@ -32,6 +140,87 @@ describe('webpack-node-utils-runner', () => {
     expect(sub instanceof WebpackNodeUtilsRunner).toBeTrue();
   });
 
+  it('should throw an error if the entry is invalid', () => {
+    const entryError = 'The entry must be a string, a list of strings or a function';
+    expect(() => new WebpackNodeUtilsRunner(5)).toThrowError(entryError);
+    expect(() => new WebpackNodeUtilsRunner([])).toThrowError(entryError);
+    expect(() => new WebpackNodeUtilsRunner(['app', 5])).toThrowError(entryError);
+  });
+
+  it('should throw an error if an option has an invalid value', () => {
+    expect(() => new WebpackNodeUtilsRunner(null, { killSignal: '' }))
+    .toThrowError('The `killSignal` option must be a signal name');
+    expect(() => new WebpackNodeUtilsRunner(null, { killTimeout: -1 }))
+    .toThrowError('The `killTimeout` option must be a positive number');
+    expect(() => new WebpackNodeUtilsRunner(null, { args: '--port 2509' }))
+    .toThrowError('The `args` option must be a list of strings');
+    expect(() => new WebpackNodeUtilsRunner(null, { execArgv: [9229] }))
+    .toThrowError('The `execArgv` option must be a list of strings');
+    expect(() => new WebpackNodeUtilsRunner(null, { env: ['NODE_ENV=test'] }))
+    .toThrowError('The `env` option must be a dictionary');
+    expect(() => new WebpackNodeUtilsRunner(null, { env: null }))
+    .toThrowError('The `env` option must be a dictionary');
+    expect(() => new WebpackNodeUtilsRunner(null, { cwd: true }))
+    .toThrowError('The `cwd` option must be a string');
+    expect(() => new WebpackNodeUtilsRunner(null, { stdio: {} }))
+    .toThrowError('The `stdio` option must be a string or a list');
+    expect(() => new WebpackNodeUtilsRunner(null, { stdio: ['inherit', 'inherit', 'inherit'] }))
+    .toThrowError('The `stdio` option must include `ipc` when it\'s a list');
+    expect(() => new WebpackNodeUtilsRunner(null, { maxRestarts: '3' }))
+    .toThrowError('The `maxRestarts` option must be a positive number');
+    expect(() => new WebpackNodeUtilsRunner(null, { restartDelay: -100 }))
+    .toThrowError('The `restartDelay` option must be a positive number');
+    expect(() => new WebpackNodeUtilsRunner(null, { forceRestart: 'yes' }))
+    .toThrowError('The `forceRestart` option must be a boolean');
+    expect(() => new WebpackNodeUtilsRunner(null, { onBuildError: 'restart' }))
+    .toThrowError('The `onBuildError` option must be `keep` or `stop`');
+    const loggerError = 'The `logger` option must have `info`, `warn` and `error` methods';
+    expect(() => new WebpackNodeUtilsRunner(null, { logger: false }))
+    .toThrowError(loggerError);
+    expect(() => new WebpackNodeUtilsRunner(null, { logger: { info: () => {} } }))
+    .toThrowError(loggerError);
+    expect(() => new WebpackNodeUtilsRunner(null, { logLevel: 'debug' }))
+    .toThrowError('The `logLevel` option must be `silent`, `error`, `warn` or `info`');
+    expect(() => new WebpackNodeUtilsRunner(null, { logPrefix: null }))
+    .toThrowError('The `logPrefix` option must be a string');
+    const inspectError = 'The `inspect` option must be a boolean, a port number or a dictionary';
+    expect(() => new WebpackNodeUtilsRunner(null, { inspect: 'yes' }))
+    .toThrowError(inspectError);
+    expect(() => new WebpackNodeUtilsRunner(null, { inspect: null }))
+    .toThrowError(inspectError);
+    expect(() => new WebpackNodeUtilsRunner(null, { inspect: -1 }))
+    .toThrowError(inspectError);
+    expect(() => new WebpackNodeUtilsRunner(null, { inspect: { port: '9229' } }))
+    .toThrowError(inspectError);
+    expect(() => new WebpackNodeUtilsRunner(null, { ready: 'ready' }))
+    .toThrowError('The `ready` option must be a dictionary');
+    expect(() => new WebpackNodeUtilsRunner(null, { interactive: 'yes' }))
+    .toThrowError('The `interactive` option must be a boolean');
+    expect(() => new WebpackNodeUtilsRunner(null, { hot: 'poll' }))
+    .toThrowError('The `hot` option must be a boolean, `signal` or `message`');
+    expect(() => new WebpackNodeUtilsRunner(null, { hot: true, forceRestart: true }))
+    .toThrowError('The `hot` option can\'t be used with `forceRestart`');
+    expect(() => new WebpackNodeUtilsRunner(null, { ready: { timeout: 100 } }))
+    .toThrowError('The `ready` option must have a `message`, `stdout`, `port` or `url` property');
+    expect(() => new WebpackNodeUtilsRunner(null, { ready: { stdout: 'listening' } }))
+    .toThrowError('The `ready.stdout` option has an invalid value');
+    expect(() => new WebpackNodeUtilsRunner(null, { ready: { port: 2509, host: '' } }))
+    .toThrowError('The `ready.host` option has an invalid value');
+    expect(() => new WebpackNodeUtilsRunner(null, { ready: { url: 'localhost:2509' } }))
+    .toThrowError('The `ready.url` option has an invalid value');
+    expect(() => new WebpackNodeUtilsRunner(null, { ready: { url: 'http://' } }))
+    .toThrowError('The `ready.url` option has an invalid value');
+    expect(() => new WebpackNodeUtilsRunner(null, { ready: { url: 'ftp://localhost:2509' } }))
+    .toThrowError('The `ready.url` option has an invalid value');
+    expect(() => new WebpackNodeUtilsRunner(null, { ready: { port: 2509, timeout: 0 } }))
+    .toThrowError('The `ready.timeout` option has an invalid value');
+    expect(() => new WebpackNodeUtilsRunner(null, {
+      stdio: 'inherit',
+      ready: { stdout: /listening/ },
+    }))
+    .toThrowError('The `ready.stdout` option can\'t be used with a custom `stdio`');
+  });
+
   it('should add the callbacks to the compiler', () => {
     const compiler = new FakeCompiler();
     const sub = new WebpackNodeUtilsRunner();
@@ -42,6 +231,175 @@ describe('webpack-node-utils-runner', () => {
     expect(compiler.callbacks['after-emit']).toBeFunction();
     expect(compiler.callbacks.compile).toBeFunction();
     expect(compiler.callbacks.done).toBeFunction();
+    expect(compiler.callbacks['watch-close']).toBeFunction();
+  });
+
+  it('should tap into the compiler hooks when available', () => {
+    const compiler = new FakeHooksCompiler();
+    const sub = new WebpackNodeUtilsRunner();
+    sub.apply(compiler);
+    expect(compiler.hooks.afterEmit.taps).toEqual([{
+      name: 'WebpackNodeUtilsRunner',
+      callback: expect.any(Function),
+      type: 'async',
+    }]);
+    expect(compiler.hooks.compile.taps).toEqual([{
+      name: 'WebpackNodeUtilsRunner',
+      callback: expect.any(Function),
+      type: 'sync',
+    }]);
+    expect(compiler.hooks.done.taps).toEqual([{
+      name: 'WebpackNodeUtilsRunner',
+      callback: expect.any(Function),
+      type: 'sync',
+    }]);
+    expect(compiler.hooks.watchClose.taps).toEqual([{
+      name: 'WebpackNodeUtilsRunner',
+      callback: expect.any(Function),
+      type: 'sync',
+    }]);
+  });
+
+  it('should run and restart the build using the compiler hooks', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeHooksCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('afterEmit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(2);
+      expect(forkKill.mock.calls.length).toBe(1);
+      expect(log.mock.calls.length).toBe(8);
+      expect(log.mock.calls[4][0]).toContain('Starting bundle process');
+      expect(log.mock.calls[5][0]).toContain('Stopping bundle process');
+      expect(log.mock.calls[7][0]).toContain('Starting bundle process');
+      expect(callback.mock.calls.length).toBe(1);
+    });
+  });
+
+  it('should find the entries paths using the output directory of the compilation', () => {
+    const compilation = {
+      outputOptions: {
+        path: '/dist',
+      },
+      assets: {
+        'server.js': {},
+        'styles.css': {},
+      },
+    };
+    const compiler = new FakeHooksCompiler();
+    const sub = new WebpackNodeUtilsRunner('server.js');
+    const callback = jest.fn();
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('afterEmit', [compilation, callback]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(1);
+      expect(fork.mock.calls[0][0]).toBe(path.resolve('/dist/server.js'));
+      expect(callback.mock.calls.length).toBe(1);
+    });
+  });
+
+  it('should find the entries paths using the output path of the compiler', () => {
+    const compilation = {
+      compiler: {
+        outputPath: '/build',
+      },
+      assets: {
+        'server.js': {},
+      },
+      entrypoints: new Map([
+        ['server', {
+          chunks: [{ name: 'server', files: ['server.js'] }],
+        }],
+      ]),
+    };
+    const compiler = new FakeHooksCompiler();
+    const sub = new WebpackNodeUtilsRunner('server');
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('afterEmit', [compilation, jest.fn()]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(1);
+      expect(fork.mock.calls[0][0]).toBe(path.resolve('/build/server.js'));
+    });
+  });
+
+  it('should resolve the placeholders of the output directory of the compilation', () => {
+    const compilation = {
+      hash: 'abc123',
+      outputOptions: {
+        path: '/dist/[hash]',
+      },
+      getPath: jest.fn((value) => value.replace('[hash]', compilation.hash)),
+      assets: {
+        'server.js': {},
+      },
+    };
+    const compiler = new FakeHooksCompiler();
+    const sub = new WebpackNodeUtilsRunner('server.js');
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('afterEmit', [compilation, jest.fn()]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(compilation.getPath).toHaveBeenCalledWith('/dist/[hash]', {});
+      expect(fork.mock.calls[0][0]).toBe(path.resolve('/dist/abc123/server.js'));
+    });
+  });
+
+  it('should prefer the path where the asset was written over the output directory', () => {
+    const compilation = {
+      outputOptions: {
+        path: '/dist/[hash]',
+      },
+      getPath: jest.fn(),
+      assets: {
+        'server.js': {
+          existsAt: '/build/server.js',
+        },
+      },
+    };
+    const compiler = new FakeHooksCompiler();
+    const sub = new WebpackNodeUtilsRunner('server.js');
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('afterEmit', [compilation, jest.fn()]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(compilation.getPath).not.toHaveBeenCalled();
+      expect(fork.mock.calls[0][0]).toBe(path.resolve('/build/server.js'));
+    });
   });
 
   it('should validate the existence of the entry on compilation time', () => {
@@ -156,132 +514,300 @@ describe('webpack-node-utils-runner', () => {
     expect(callback.mock.calls.length).toBe(1);
   });
 
-  it('should\'t try to find the entry more than once', () => {
-    const entry = 'app';
+  it('should log an error if there are no entries available', () => {
     const compilation = {
       assets: {
-        app: {
-          existsAt: './app.js',
+        styles: {
+          existsAt: './styles.css',
         },
       },
     };
 
     const compiler = new FakeCompiler();
-    const sub = new WebpackNodeUtilsRunner(entry);
+    const sub = new WebpackNodeUtilsRunner();
+    const subAll = new WebpackNodeUtilsRunner('*');
     const callback = jest.fn();
     const log = getLogMock();
 
     sub.apply(compiler);
     compiler.trigger('after-emit', [compilation, callback]);
-
-    expect(log.mock.calls.length).toBe(3);
-    expect(log.mock.calls[0][0]).toBeEmptyString();
-    expect(log.mock.calls[1][0]).toContain(`Using the following entry: ${entry}`);
-    expect(log.mock.calls[2][0]).toContain('Entry file:');
-    expect(callback.mock.calls.length).toBe(1);
-
+    subAll.apply(compiler);
     compiler.trigger('after-emit', [compilation, callback]);
-    expect(log.mock.calls.length).toBe(3);
+    compiler.trigger('done');
+    compiler.trigger('done', [{ hasErrors: () => true }]);
+
+    expect(log.mock.calls.length).toBe(4);
+    expect(log.mock.calls[1][0]).toContain('There are no entries available');
+    expect(log.mock.calls[3][0]).toContain('There are no entries available');
+    expect(fork.mock.calls.length).toBe(0);
     expect(callback.mock.calls.length).toBe(2);
   });
 
-  it('should run the build when compilation ends', () => {
-    const entry = 'app';
+  it('should use a list of entries', () => {
     const compilation = {
       assets: {
-        app: {
-          existsAt: 'app.js',
+        server: {
+          existsAt: './server.js',
+        },
+        worker: {
+          existsAt: './worker.js',
+        },
+        cron: {
+          existsAt: './cron.js',
         },
       },
     };
+    const assetsList = Object.keys(compilation.assets).join(', ');
 
     const compiler = new FakeCompiler();
-    const sub = new WebpackNodeUtilsRunner(entry);
+    const sub = new WebpackNodeUtilsRunner(['server', 'worker', 'random']);
     const callback = jest.fn();
     const log = getLogMock();
 
     sub.apply(compiler);
     compiler.trigger('after-emit', [compilation, callback]);
-    compiler.trigger('done');
-
-    expect(fork.mock.calls.length).toBe(1);
 
-    expect(log.mock.calls.length).toBe(5);
-    expect(log.mock.calls[4][0]).toContain('Starting bundle process');
+    expect(log.mock.calls.length).toBe(6);
+    expect(log.mock.calls[1][0]).toContain('The required entry (random) doesn\'t exist');
+    expect(log.mock.calls[2][0]).toContain(`These are the available entries: ${assetsList}`);
+    expect(log.mock.calls[3][0]).toContain('Using the following entries: server, worker');
+    expect(log.mock.calls[4][0]).toMatch(/Entry file: .*?server\.js$/);
+    expect(log.mock.calls[5][0]).toMatch(/Entry file: .*?worker\.js$/);
     expect(callback.mock.calls.length).toBe(1);
   });
 
-  it('should stop the build when compilation starts', () => {
-    const entry = 'app';
+  it('should run and restart all the entries together', () => {
     const compilation = {
       assets: {
-        app: {
-          existsAt: 'app.js',
+        server: {
+          existsAt: './server.js',
+        },
+        worker: {
+          existsAt: './worker.js',
         },
       },
     };
 
     const compiler = new FakeCompiler();
-    const sub = new WebpackNodeUtilsRunner(entry);
+    const sub = new WebpackNodeUtilsRunner('*');
     const callback = jest.fn();
     const log = getLogMock();
 
     sub.apply(compiler);
     compiler.trigger('after-emit', [compilation, callback]);
     compiler.trigger('done');
+
+    expect(log.mock.calls[1][0]).toContain('Using all the available entries: server, worker');
+    expect(fork.mock.calls.length).toBe(2);
+    expect(fork.mock.calls[0][0]).toMatch(/server\.js$/);
+    expect(fork.mock.calls[1][0]).toMatch(/worker\.js$/);
+    expect(fork.mock.calls[0][2].stdio).toEqual(['inherit', 'pipe', 'pipe', 'ipc']);
+    expect(log.mock.calls[5][0]).toContain('Starting server process');
+    expect(log.mock.calls[7][0]).toContain('Starting worker process');
+
+    children[1].emit('exit', 1, null);
+    expect(log.mock.calls[8][0]).toContain('The worker process exited with code 1');
+
     compiler.trigger('compile');
+    compiler.trigger('done');
 
-    expect(fork.mock.calls.length).toBe(1);
-    expect(forkKill.mock.calls.length).toBe(1);
+    return flushPromises()
+    .then(() => {
+      expect(forkKill.mock.calls.length).toBe(1);
+      expect(fork.mock.calls.length).toBe(4);
+      expect(log.mock.calls[9][0]).toContain('Stopping server process');
+      expect(log.mock.calls[11][0]).toContain('Starting worker process');
+      expect(log.mock.calls[13][0]).toContain('Starting server process');
+    });
+  });
 
-    expect(log.mock.calls.length).toBe(6);
-    expect(log.mock.calls[4][0]).toContain('Starting bundle process');
-    expect(log.mock.calls[5][0]).toContain('Stopping bundle process');
-    expect(callback.mock.calls.length).toBe(1);
+  it('should run the entries added after the first build when using all of them', () => {
+    const firstCompilation = {
+      assets: {
+        server: {
+          existsAt: './server.js',
+        },
+      },
+    };
+    const secondCompilation = {
+      assets: {
+        server: {
+          existsAt: './server.js',
+        },
+        worker: {
+          existsAt: './worker.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('*');
+    const onEntrySelected = jest.fn();
+    const log = getLogMock();
+
+    sub.on('entry-selected', onEntrySelected);
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [firstCompilation, jest.fn()]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('after-emit', [secondCompilation, jest.fn()]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('after-emit', [secondCompilation, jest.fn()]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(log.mock.calls[5][0]).toContain('Adding the new entry: worker');
+      expect(onEntrySelected.mock.calls.length).toBe(2);
+      expect(onEntrySelected.mock.calls[1][0].entry).toBe('worker');
+      expect(fork.mock.calls[0][0]).toMatch(/server\.js$/);
+      expect(fork.mock.calls.some(([file]) => file.endsWith('worker.js'))).toBe(true);
+    });
   });
 
-  it('should restart the build when it changes', () => {
-    const numberOfChanges = 3;
-    const entry = 'app';
+  it('should filter the entries added after the first build when using a function', () => {
+    const firstCompilation = {
+      assets: {
+        server: {
+          existsAt: './server.js',
+        },
+      },
+    };
+    const secondCompilation = {
+      assets: {
+        server: {
+          existsAt: './server.js',
+        },
+        worker: {
+          existsAt: './worker.js',
+        },
+        docs: {
+          existsAt: './docs.js',
+        },
+        queue: {
+          existsAt: './queue.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner((entry) => entry !== 'docs');
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [firstCompilation, jest.fn()]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('after-emit', [secondCompilation, jest.fn()]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(log.mock.calls[5][0]).toContain('Adding the new entries: worker, queue');
+      const files = fork.mock.calls.map(([file]) => path.basename(file));
+      expect(files.filter((file) => file !== 'server.js')).toEqual(['worker.js', 'queue.js']);
+    });
+  });
+
+  it('should prefix the output of each entry with its name', () => {
     const compilation = {
       assets: {
-        app: {
-          existsAt: 'app.js',
+        server: {
+          existsAt: './server.js',
+        },
+        worker: {
+          existsAt: './worker.js',
         },
       },
     };
 
     const compiler = new FakeCompiler();
-    const sub = new WebpackNodeUtilsRunner(entry);
+    const sub = new WebpackNodeUtilsRunner('*');
     const callback = jest.fn();
-    const log = getLogMock();
+    getLogMock();
+    const stdoutWrite = jest.fn();
+    const stderrWrite = jest.fn();
+    spyOn(process.stdout, 'write').and.callFake(stdoutWrite);
+    spyOn(process.stderr, 'write').and.callFake(stderrWrite);
 
     sub.apply(compiler);
     compiler.trigger('after-emit', [compilation, callback]);
     compiler.trigger('done');
-    for (let i = 0; i < numberOfChanges; i++) {
-      compiler.trigger('compile');
-      compiler.trigger('done');
-    }
+    children[0].stdout.write('Server listening\n');
+    children[1].stderr.write('Something failed\n');
 
-    const baseLogCalls = 5;
-    const logsForCall = 3;
-    expect(log.mock.calls.length).toBe(baseLogCalls + (numberOfChanges * logsForCall));
-    for (let i = baseLogCalls; i < log.mock.calls.length; i += logsForCall) {
-      expect(log.mock.calls[i][0]).toContain('Stopping bundle process');
-      expect(log.mock.calls[i + 1][0]).toBeEmptyString();
-      expect(log.mock.calls[i + 2][0]).toContain('Starting bundle process');
-    }
+    return flushPromises()
+    .then(() => {
+      expect(stdoutWrite).toHaveBeenCalledWith('[server] Server listening\n');
+      expect(stderrWrite).toHaveBeenCalledWith('[worker] Something failed\n');
+    });
+  });
 
-    expect(callback.mock.calls.length).toBe(1);
+  it('shouldn\'t prefix the output if there\'s a custom stdio option', () => {
+    const compilation = {
+      assets: {
+        server: {
+          existsAt: './server.js',
+        },
+        worker: {
+          existsAt: './worker.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('*', { stdio: 'inherit' });
+    const callback = jest.fn();
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    expect(fork.mock.calls.length).toBe(2);
+    expect(fork.mock.calls[0][2].stdio).toBe('inherit');
+    expect(fork.mock.calls[1][2].stdio).toBe('inherit');
   });
 
-  it('shouldn\'t stop the build if it\'s not running', () => {
+  it('should use a different inspector port for each entry', () => {
+    const compilation = {
+      assets: {
+        server: {
+          existsAt: './server.js',
+        },
+        worker: {
+          existsAt: './worker.js',
+        },
+      },
+    };
+    httpResponses = ['[]', '[]'];
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('*', { inspect: true });
+    const callback = jest.fn();
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(2);
+      expect(fork.mock.calls[0][2].execArgv)
+      .toEqual(process.execArgv.concat('--inspect=127.0.0.1:9229'));
+      expect(fork.mock.calls[1][2].execArgv)
+      .toEqual(process.execArgv.concat('--inspect=127.0.0.1:9230'));
+    });
+  });
+
+  it('should\'t try to find the entry more than once', () => {
     const entry = 'app';
     const compilation = {
       assets: {
         app: {
-          existsAt: 'app.js',
+          existsAt: './app.js',
         },
       },
     };
@@ -293,14 +819,19 @@ describe('webpack-node-utils-runner', () => {
 
     sub.apply(compiler);
     compiler.trigger('after-emit', [compilation, callback]);
-    compiler.trigger('compile');
 
     expect(log.mock.calls.length).toBe(3);
-    expect(forkKill.mock.calls.length).toBe(0);
+    expect(log.mock.calls[0][0]).toBeEmptyString();
+    expect(log.mock.calls[1][0]).toContain(`Using the following entry: ${entry}`);
+    expect(log.mock.calls[2][0]).toContain('Entry file:');
     expect(callback.mock.calls.length).toBe(1);
+
+    compiler.trigger('after-emit', [compilation, callback]);
+    expect(log.mock.calls.length).toBe(3);
+    expect(callback.mock.calls.length).toBe(2);
   });
 
-  it('shouldn\'t start the build if it\'s already running', () => {
+  it('should run the build when compilation ends', () => {
     const entry = 'app';
     const compilation = {
       assets: {
@@ -318,10 +849,2044 @@ describe('webpack-node-utils-runner', () => {
     sub.apply(compiler);
     compiler.trigger('after-emit', [compilation, callback]);
     compiler.trigger('done');
-    compiler.trigger('done');
 
-    expect(log.mock.calls.length).toBe(5);
     expect(fork.mock.calls.length).toBe(1);
+
+    expect(log.mock.calls.length).toBe(5);
+    expect(log.mock.calls[4][0]).toContain('Starting bundle process');
     expect(callback.mock.calls.length).toBe(1);
   });
+
+  it('should send the custom options to the process', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    const options = {
+      args: ['--port', '2509'],
+      execArgv: ['--max-old-space-size=4096'],
+      env: {
+        WEBPACK_NODE_UTILS_RUNNER_TEST: 'charito',
+      },
+      cwd: '/app',
+      stdio: 'inherit',
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, options);
+    const callback = jest.fn();
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    expect(fork.mock.calls.length).toBe(1);
+    const [entryPath, args, forkOptions] = fork.mock.calls[0];
+    expect(entryPath).toMatch(/app\.js$/);
+    expect(args).toEqual(options.args);
+    expect(forkOptions).toEqual({
+      execArgv: options.execArgv,
+      env: Object.assign({}, process.env, options.env),
+      cwd: options.cwd,
+      stdio: options.stdio,
+    });
+  });
+
+  it('should use the current environment and Node arguments by default', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    expect(fork.mock.calls[0][1]).toEqual([]);
+    expect(fork.mock.calls[0][2]).toEqual({
+      env: process.env,
+    });
+  });
+
+  it('should stop the build when a forced restart build finishes', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, { forceRestart: true });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+
+    expect(forkKill.mock.calls.length).toBe(0);
+    compiler.trigger('done');
+
+    expect(fork.mock.calls.length).toBe(1);
+    expect(forkKill.mock.calls.length).toBe(1);
+    expect(forkKill).toHaveBeenCalledWith('SIGTERM');
+
+    expect(log.mock.calls.length).toBe(6);
+    expect(log.mock.calls[4][0]).toContain('Starting bundle process');
+    expect(log.mock.calls[5][0]).toContain('Stopping bundle process');
+    expect(callback.mock.calls.length).toBe(1);
+  });
+
+  it('should keep the processes running if a forced restart build fails', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, { forceRestart: true });
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, jest.fn()]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('done', [{ hasErrors: () => true }]);
+
+    expect(fork.mock.calls.length).toBe(1);
+    expect(forkKill.mock.calls.length).toBe(0);
+    expect(log.mock.calls[5][0]).toContain('The build failed, not restarting the bundle process');
+  });
+
+  it('should restart the build when it changes', () => {
+    const numberOfChanges = 3;
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    let changes = Promise.resolve();
+    for (let i = 0; i < numberOfChanges; i++) {
+      changes = changes.then(() => {
+        compiler.trigger('compile');
+        compiler.trigger('done');
+        return flushPromises();
+      });
+    }
+
+    return changes.then(() => {
+      const baseLogCalls = 5;
+      const logsForCall = 3;
+      expect(fork.mock.calls.length).toBe(numberOfChanges + 1);
+      expect(log.mock.calls.length).toBe(baseLogCalls + (numberOfChanges * logsForCall));
+      for (let i = baseLogCalls; i < log.mock.calls.length; i += logsForCall) {
+        expect(log.mock.calls[i][0]).toContain('Stopping bundle process');
+        expect(log.mock.calls[i + 1][0]).toBeEmptyString();
+        expect(log.mock.calls[i + 2][0]).toContain('Starting bundle process');
+      }
+
+      expect(callback.mock.calls.length).toBe(1);
+    });
+  });
+
+  it('should wait for the process to exit before starting a new one', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    getLogMock();
+    ignoredSignals = ['SIGTERM'];
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(1);
+      expect(forkKill.mock.calls).toEqual([['SIGTERM']]);
+      ignoredSignals = [];
+      children[0].emit('exit', 0, null);
+      return flushPromises();
+    })
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(2);
+    });
+  });
+
+  it('should send a SIGKILL if the process doesn\'t exit before the timeout', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    const options = {
+      killSignal: 'SIGINT',
+      killTimeout: 1000,
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, options);
+    const callback = jest.fn();
+    const log = getLogMock();
+    ignoredSignals = ['SIGINT'];
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(forkKill.mock.calls).toEqual([['SIGINT']]);
+      expect(fork.mock.calls.length).toBe(1);
+      jest.runAllTimers();
+      return flushPromises();
+    })
+    .then(() => {
+      expect(forkKill.mock.calls).toEqual([['SIGINT'], ['SIGKILL']]);
+      expect(fork.mock.calls.length).toBe(2);
+      expect(log.mock.calls[6][0])
+      .toContain(`The bundle process didn't exit after ${options.killTimeout}ms`);
+    });
+  });
+
+  it('shouldn\'t wait for a process that already exited', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    children[0].exitCode = 1;
+    compiler.trigger('compile');
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(forkKill.mock.calls.length).toBe(0);
+      expect(fork.mock.calls.length).toBe(2);
+    });
+  });
+
+  it('should log when the process exits on its own', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    children[0].emit('exit', 0, null);
+    compiler.trigger('done');
+    children[1].emit('exit', 1, null);
+    compiler.trigger('done');
+    children[2].emit('exit', null, 'SIGSEGV');
+    jest.runAllTimers();
+
+    expect(fork.mock.calls.length).toBe(3);
+    expect(log.mock.calls[5][0]).toContain('The bundle process exited');
+    expect(log.mock.calls[8][0]).toContain('The bundle process exited with code 1');
+    expect(log.mock.calls[11][0]).toContain('The bundle process was terminated by SIGSEGV');
+    expect(log.mock.calls.length).toBe(12);
+  });
+
+  it('should restart a crashed process with an exponential backoff', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    const options = {
+      restartOnCrash: true,
+      maxRestarts: 2,
+      restartDelay: 100,
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, options);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    children[0].emit('exit', 1, null);
+    jest.runOnlyPendingTimers();
+    children[1].emit('exit', 1, null);
+    jest.runOnlyPendingTimers();
+    children[2].emit('exit', 1, null);
+    jest.runOnlyPendingTimers();
+
+    expect(fork.mock.calls.length).toBe(3);
+    expect(setTimeout.mock.calls.map((call) => call[1])).toEqual([100, 200]);
+    expect(log.mock.calls[6][0])
+    .toContain('Restarting the bundle process in 100ms (1/2)');
+    expect(log.mock.calls[10][0])
+    .toContain('Restarting the bundle process in 200ms (2/2)');
+    expect(log.mock.calls[14][0])
+    .toContain('The bundle process crashed 2 times, waiting for the next build');
+  });
+
+  it('should reset the restarts counter after a build', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    const options = {
+      restartOnCrash: true,
+      maxRestarts: 1,
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, options);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    children[0].emit('exit', 1, null);
+    compiler.trigger('compile');
+    compiler.trigger('done');
+    jest.runAllTimers();
+
+    expect(fork.mock.calls.length).toBe(2);
+    expect(clearTimeout.mock.calls.length).toBe(1);
+    children[1].emit('exit', 1, null);
+    jest.runAllTimers();
+
+    expect(fork.mock.calls.length).toBe(3);
+    expect(log.mock.calls[10][0])
+    .toContain('Restarting the bundle process in 1000ms (1/1)');
+  });
+
+  it('shouldn\'t restart a process that was stopped by the plugin', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, { restartOnCrash: true });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    sub.stop();
+    jest.runAllTimers();
+
+    expect(fork.mock.calls.length).toBe(1);
+    expect(log.mock.calls.length).toBe(6);
+    expect(log.mock.calls[5][0]).toContain('Stopping bundle process');
+  });
+
+  it('should handle the errors of a process that couldn\'t be started', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, {
+      cwd: '/nonexistent',
+      restartOnCrash: true,
+    });
+    const callback = jest.fn();
+    const onCrashed = jest.fn();
+    const log = getLogMock();
+    const error = new Error('spawn node ENOENT');
+    sub.on('crashed', onCrashed);
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    delete children[0].pid;
+    children[0].emit('error', error);
+
+    expect(log.mock.calls[5][0])
+    .toContain('The bundle process couldn\'t be started: spawn node ENOENT');
+    expect(onCrashed).toHaveBeenCalledWith({
+      entry,
+      path: path.resolve('app.js'),
+      pid: undefined,
+      code: null,
+      signal: null,
+      error,
+    });
+    expect(log.mock.calls[6][0])
+    .toContain('Restarting the bundle process in 1000ms (1/5)');
+    jest.runOnlyPendingTimers();
+    expect(fork.mock.calls.length).toBe(2);
+
+    children[1].emit('error', new Error('kill EPERM'));
+    expect(log.mock.calls[9][0]).toContain('The bundle process emitted an error: kill EPERM');
+    expect(onCrashed).toHaveBeenCalledTimes(1);
+    expect(setTimeout.mock.calls.length).toBe(1);
+    sub.stop();
+    expect(forkKill.mock.calls.length).toBe(1);
+
+    const otherCompiler = new FakeCompiler();
+    const subNoRestart = new WebpackNodeUtilsRunner(entry, { cwd: '/nonexistent' });
+    subNoRestart.apply(otherCompiler);
+    otherCompiler.trigger('after-emit', [compilation, callback]);
+    otherCompiler.trigger('done');
+    delete children[2].pid;
+    children[2].emit('error', error);
+    jest.runAllTimers();
+    subNoRestart.stop();
+
+    expect(fork.mock.calls.length).toBe(3);
+    expect(forkKill.mock.calls.length).toBe(1);
+  });
+
+  it('should start the process with the inspector enabled', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    const devtoolsURL = 'devtools://devtools/bundled/js_app.html?ws=127.0.0.1:9229/abc';
+    httpResponses = [JSON.stringify([{ devtoolsFrontendUrl: devtoolsURL }])];
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, {
+      inspect: true,
+      execArgv: ['--inspect=1234', '--max-old-space-size=4096'],
+    });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(1);
+      expect(fork.mock.calls[0][2].execArgv).toEqual([
+        '--max-old-space-size=4096',
+        '--inspect=127.0.0.1:9229',
+      ]);
+      expect(http.get.mock.calls[0][0]).toBe('http://127.0.0.1:9229/json/list');
+      expect(log.mock.calls.length).toBe(7);
+      expect(log.mock.calls[4][0]).toContain('Starting bundle process');
+      expect(log.mock.calls[5][0])
+      .toContain('Debugger listening on 127.0.0.1:9229, open chrome://inspect to debug it');
+      expect(log.mock.calls[6][0]).toContain(`DevTools URL: ${devtoolsURL}`);
+    });
+  });
+
+  it('should use a free port for the inspector if the one specified is taken', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    busyPorts = [2509];
+    httpResponses = [new Error('ECONNREFUSED'), 'not-json', '[]'];
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, {
+      inspect: {
+        port: 2509,
+        host: '0.0.0.0',
+        brk: true,
+      },
+    });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(1);
+      expect(fork.mock.calls[0][2].execArgv)
+      .toEqual(process.execArgv.concat('--inspect-brk=0.0.0.0:5000'));
+      expect(log.mock.calls[3][0])
+      .toContain('The inspector port 2509 is in use, using 5000 instead');
+      jest.runOnlyPendingTimers();
+      return flushPromises();
+    })
+    .then(() => {
+      jest.runOnlyPendingTimers();
+      return flushPromises();
+    })
+    .then(() => {
+      expect(http.get.mock.calls.length).toBe(3);
+      expect(log.mock.calls.length).toBe(7);
+    });
+  });
+
+  it('should stop trying to get the DevTools URL after a few attempts', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    const attemptsLimit = 10;
+    for (let i = 0; i < attemptsLimit + 1; i++) {
+      httpResponses.push(new Error('ECONNREFUSED'));
+    }
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, { inspect: true });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    let attempts = flushPromises();
+    for (let i = 0; i < attemptsLimit + 1; i++) {
+      attempts = attempts.then(() => {
+        jest.runOnlyPendingTimers();
+        return flushPromises();
+      });
+    }
+
+    return attempts.then(() => {
+      expect(http.get.mock.calls.length).toBe(attemptsLimit);
+      expect(log.mock.calls.length).toBe(6);
+    });
+  });
+
+  it('should reuse the inspector port when restarting the process', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    httpResponses = ['[]', '[]', '[]'];
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, { inspect: 2509 });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(1);
+      busyPorts = [2509];
+      compiler.trigger('compile');
+      compiler.trigger('done');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(1);
+      busyPorts = [];
+      jest.runOnlyPendingTimers();
+      return flushPromises();
+    })
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(2);
+      expect(fork.mock.calls[1][2].execArgv)
+      .toEqual(process.execArgv.concat('--inspect=127.0.0.1:2509'));
+      busyPorts = [2509];
+      compiler.trigger('compile');
+      compiler.trigger('done');
+      let attempts = Promise.resolve();
+      for (let i = 0; i < 10; i++) {
+        attempts = attempts.then(() => {
+          jest.runOnlyPendingTimers();
+          return flushPromises();
+        });
+      }
+
+      return attempts;
+    })
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(3);
+      expect(fork.mock.calls[2][2].execArgv)
+      .toEqual(process.execArgv.concat('--inspect=127.0.0.1:5000'));
+      expect(log.mock.calls.some((call) => call[0].includes(
+        'The inspector port 2509 is in use, using 5000 instead'
+      )))
+      .toBeTrue();
+    });
+  });
+
+  it('should cancel the start if a new build starts while waiting for the port', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    httpResponses = [new Error('ECONNREFUSED'), '[]'];
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, { inspect: true });
+    const callback = jest.fn();
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      busyPorts = [9229];
+      compiler.trigger('compile');
+      compiler.trigger('done');
+      return flushPromises();
+    })
+    .then(() => {
+      compiler.trigger('compile');
+      jest.runAllTimers();
+      return flushPromises();
+    })
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(1);
+      expect(http.get.mock.calls.length).toBe(1);
+    });
+  });
+
+  it('should log an error if it can\'t find a port for the inspector', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    busyPorts = [9229, 0];
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry, { inspect: true });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(0);
+      expect(log.mock.calls.length).toBe(4);
+      expect(log.mock.calls[3][0])
+      .toContain('The bundle process couldn\'t be started: EADDRINUSE');
+    });
+  });
+
+  it('shouldn\'t stop the build if it\'s not running', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('compile');
+
+    expect(log.mock.calls.length).toBe(3);
+    expect(forkKill.mock.calls.length).toBe(0);
+    expect(callback.mock.calls.length).toBe(1);
+  });
+
+  it('shouldn\'t start the build if it\'s already running', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('done');
+
+    expect(log.mock.calls.length).toBe(5);
+    expect(fork.mock.calls.length).toBe(1);
+    expect(callback.mock.calls.length).toBe(1);
+  });
+
+  it('shouldn\'t restart the build if the entry didn\'t change', () => {
+    const entry = 'app';
+    const appChunk = {
+      id: 0,
+      hash: 'app-hash',
+      files: ['app'],
+      getAllAsyncChunks: () => new Set([{ id: 2, hash: 'lazy-hash', files: ['lazy'] }]),
+    };
+    const vendorChunk = {
+      id: 1,
+      hash: 'vendor-hash',
+      files: ['vendor'],
+    };
+    const otherChunk = {
+      id: 3,
+      hash: 'other-hash',
+      files: ['other'],
+    };
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+      chunks: [appChunk, vendorChunk, otherChunk],
+      entrypoints: new Map([
+        ['app', { chunks: [vendorChunk, appChunk] }],
+        ['other', { chunks: [otherChunk] }],
+      ]),
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    otherChunk.hash = 'other-hash-changed';
+    compiler.trigger('compile');
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    expect(fork.mock.calls.length).toBe(1);
+    expect(forkKill.mock.calls.length).toBe(0);
+    expect(log.mock.calls.length).toBe(6);
+    expect(log.mock.calls[5][0])
+    .toContain('The bundle process wasn\'t affected by the changes, skipping the restart');
+
+    vendorChunk.hash = 'vendor-hash-changed';
+    compiler.trigger('compile');
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(2);
+      expect(log.mock.calls[6][0]).toContain('Stopping bundle process');
+      expect(log.mock.calls[8][0]).toContain('Starting bundle process');
+    });
+  });
+
+  it('should read the entrypoints from a dictionary', () => {
+    const entry = 'app';
+    const appChunk = {
+      id: 0,
+      hash: 'app-hash',
+      files: new Set(['app']),
+    };
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+      chunks: new Set([appChunk]),
+      entrypoints: {
+        app: { chunks: [appChunk] },
+        other: {},
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    appChunk.hash = 'app-hash-changed';
+    compiler.trigger('compile');
+    compiler.trigger('after-emit', [Object.assign({}, compilation, {
+      entrypoints: null,
+    }), callback]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(2);
+    });
+  });
+
+  it('should restart the build if it can\'t tell whether the entry changed', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+      chunks: [{ id: 0, hash: 'hash' }],
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(forkKill.mock.calls.length).toBe(1);
+      expect(fork.mock.calls.length).toBe(2);
+    });
+  });
+
+  it('shouldn\'t start the build if the compilation has errors', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    const failedStats = {
+      hasErrors: () => true,
+    };
+    const successfulStats = {
+      hasErrors: () => false,
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done', [failedStats]);
+
+    expect(fork.mock.calls.length).toBe(0);
+    expect(log.mock.calls.length).toBe(4);
+    expect(log.mock.calls[3][0])
+    .toContain('The build failed, not restarting the bundle process');
+
+    compiler.trigger('compile');
+    compiler.trigger('done', [successfulStats]);
+
+    expect(fork.mock.calls.length).toBe(1);
+    expect(log.mock.calls[5][0]).toContain('Starting bundle process');
+  });
+
+  it('should keep the running process if the compilation has errors', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    const failedStats = {
+      hasErrors: () => true,
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('done', [failedStats]);
+
+    expect(fork.mock.calls.length).toBe(1);
+    expect(forkKill.mock.calls.length).toBe(0);
+    expect(log.mock.calls.length).toBe(6);
+    expect(log.mock.calls[5][0])
+    .toContain('The build failed, not restarting the bundle process');
+  });
+
+  it('should stop the running processes if the compilation has errors', () => {
+    const compilation = {
+      assets: {
+        server: {
+          existsAt: './server.js',
+        },
+        worker: {
+          existsAt: './worker.js',
+        },
+      },
+    };
+    const failedStats = {
+      hasErrors: () => true,
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('*', {
+      onBuildError: 'stop',
+      restartOnCrash: true,
+    });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    children[1].emit('exit', 1, null);
+    compiler.trigger('done', [failedStats]);
+    jest.runAllTimers();
+
+    expect(fork.mock.calls.length).toBe(2);
+    expect(forkKill.mock.calls.length).toBe(1);
+    expect(log.mock.calls[10][0]).toContain('The build failed, not restarting the processes');
+    expect(log.mock.calls[11][0]).toContain('Stopping server process');
+    expect(log.mock.calls.length).toBe(12);
+  });
+
+  it('should emit events for the lifecycle of the processes', () => {
+    const entry = 'app';
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    const events = [
+      'entry-selected',
+      'starting',
+      'started',
+      'stopping',
+      'stopped',
+      'crashed',
+      'restart-skipped',
+    ];
+    const listeners = {};
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(entry);
+    const callback = jest.fn();
+    getLogMock();
+    events.forEach((event) => {
+      listeners[event] = jest.fn();
+      sub.on(event, listeners[event]);
+    });
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('done', [{ hasErrors: () => true }]);
+    compiler.trigger('compile');
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      children[1].emit('exit', 1, null);
+      compiler.trigger('done');
+      children[2].emit('exit', 0, null);
+
+      const entryPath = expect.stringMatching(/app\.js$/);
+      expect(listeners['entry-selected'].mock.calls).toEqual([[{
+        entry,
+        path: entryPath,
+      }]]);
+      expect(listeners.starting.mock.calls.length).toBe(3);
+      expect(listeners.starting.mock.calls[0][0]).toEqual({
+        entry,
+        path: entryPath,
+      });
+      expect(listeners.started.mock.calls.length).toBe(3);
+      expect(listeners.started.mock.calls[0][0]).toEqual({
+        entry,
+        path: entryPath,
+        pid: 2509,
+        duration: expect.any(Number),
+      });
+      expect(listeners['restart-skipped'].mock.calls).toEqual([[{
+        entry,
+        path: entryPath,
+        pid: 2509,
+        reason: 'build-failed',
+      }]]);
+      expect(listeners.stopping.mock.calls).toEqual([[{
+        entry,
+        path: entryPath,
+        pid: 2509,
+      }]]);
+      expect(listeners.crashed.mock.calls).toEqual([[{
+        entry,
+        path: entryPath,
+        pid: 2510,
+        code: 1,
+        signal: null,
+      }]]);
+      expect(listeners.stopped.mock.calls).toEqual([
+        [{
+          entry,
+          path: entryPath,
+          pid: 2509,
+          code: null,
+          signal: 'SIGTERM',
+          duration: expect.any(Number),
+        }],
+        [{
+          entry,
+          path: entryPath,
+          pid: 2511,
+          code: 0,
+          signal: null,
+        }],
+      ]);
+    });
+  });
+
+  it('should allow the processes to be controlled with its public methods', () => {
+    const compilation = {
+      assets: {
+        server: {
+          existsAt: './server.js',
+        },
+        worker: {
+          existsAt: './worker.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('*', { restartOnCrash: true });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    children[1].emit('exit', 1, null);
+    ignoredSignals = ['SIGTERM'];
+    const stopping = sub.stop();
+    const secondStop = sub.stop();
+    expect(forkKill.mock.calls).toEqual([['SIGTERM']]);
+    ignoredSignals = [];
+    children[0].emit('exit', 0, null);
+
+    return Promise.all([stopping, secondStop])
+    .then(() => {
+      jest.runAllTimers();
+      expect(fork.mock.calls.length).toBe(2);
+      return sub.start();
+    })
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(4);
+      return sub.start();
+    })
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(4);
+      return sub.restart();
+    })
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(6);
+      expect(forkKill.mock.calls.length).toBe(3);
+      expect(log.mock.calls[log.mock.calls.length - 1][0])
+      .toContain('Starting worker process');
+    });
+  });
+
+  it('should send the messages to a custom logger', () => {
+    const compilation = {
+      assets: {
+        backend: {
+          existsAt: './backend.js',
+        },
+        app: {
+          existsAt: './app.js',
+        },
+      },
+    };
+    const logger = {
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+    };
+    const loggerWithSuccess = Object.assign({
+      success: jest.fn(),
+    }, logger);
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(null, {
+      logger,
+      logPrefix: '',
+    });
+    const subWithSuccess = new WebpackNodeUtilsRunner('app', {
+      logger: loggerWithSuccess,
+      logPrefix: '[server]',
+    });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    subWithSuccess.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+
+    expect(log.mock.calls.length).toBe(0);
+    expect(logger.warn.mock.calls).toEqual([['Doing fallback to the first entry: backend']]);
+    expect(logger.info.mock.calls).toEqual([
+      ['These are the available entries: backend, app'],
+      [expect.stringMatching(/^Entry file: .*?backend\.js$/)],
+    ]);
+    expect(loggerWithSuccess.success.mock.calls).toEqual([
+      ['[server] Using the following entry: app'],
+      [expect.stringMatching(/^\[server\] Entry file: .*?app\.js$/)],
+    ]);
+    expect(logger.error.mock.calls.length).toBe(0);
+  });
+
+  it('should only log the messages allowed by the log level', () => {
+    const compilation = {
+      assets: {
+        backend: {
+          existsAt: './backend.js',
+        },
+        app: {
+          existsAt: './app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(null, { logLevel: 'warn' });
+    const subErrors = new WebpackNodeUtilsRunner(null, { logLevel: 'error' });
+    const subSilent = new WebpackNodeUtilsRunner('random', { logLevel: 'silent' });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    subErrors.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    subSilent.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+
+    expect(log.mock.calls.length).toBe(1);
+    expect(log.mock.calls[0][0]).toContain('Doing fallback to the first entry: backend');
+  });
+
+  it('should use colors only when the output is a terminal', () => {
+    const originalIsTTY = process.stdout.isTTY;
+    const originalNoColor = process.env.NO_COLOR;
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: './app.js',
+        },
+      },
+    };
+
+    process.stdout.isTTY = true;
+    delete process.env.NO_COLOR;
+    const sub = new WebpackNodeUtilsRunner('app');
+    process.env.NO_COLOR = '';
+    const subEmptyNoColor = new WebpackNodeUtilsRunner('app');
+    process.env.NO_COLOR = '1';
+    const subNoColor = new WebpackNodeUtilsRunner('app');
+    process.stdout.isTTY = originalIsTTY;
+    if (typeof originalNoColor === 'undefined') {
+      delete process.env.NO_COLOR;
+    } else {
+      process.env.NO_COLOR = originalNoColor;
+    }
+
+    const compiler = new FakeCompiler();
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    subNoColor.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    subEmptyNoColor.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+
+    const message = '[WebpackNodeUtilsRunner] Using the following entry: app';
+    expect(log.mock.calls[0][0]).toBe(colors.white(''));
+    expect(log.mock.calls[1][0]).toBe(colors.green(message));
+    expect(log.mock.calls[3][0]).toBe('');
+    expect(log.mock.calls[4][0]).toBe(message);
+    expect(log.mock.calls[7][0]).toBe(colors.green(message));
+  });
+
+  it('should wait for the process to send a ready message', () => {
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('app', { ready: { message: 'ready' } });
+    const callback = jest.fn();
+    const onReady = jest.fn();
+    const log = getLogMock();
+    sub.on('ready', onReady);
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    children[0].emit('message', 'something');
+    children[0].emit('message', null);
+    expect(onReady).not.toHaveBeenCalled();
+    children[0].emit('message', { type: 'ready' });
+
+    return flushPromises()
+    .then(() => {
+      expect(onReady).toHaveBeenCalledTimes(1);
+      expect(onReady).toHaveBeenCalledWith({
+        entry: 'app',
+        path: expect.stringMatching(/app\.js$/),
+        pid: children[0].pid,
+        duration: expect.any(Number),
+      });
+      expect(log.mock.calls[log.mock.calls.length - 1][0])
+      .toMatch(/The bundle process is ready \(\d+ms\)/);
+      expect(children[0].listenerCount('message')).toBe(0);
+      expect(clearTimeout).toHaveBeenCalled();
+    });
+  });
+
+  it('should wait for the process to write a line that matches an expression', () => {
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('app', { ready: { stdout: /listening on \d+/ } });
+    const callback = jest.fn();
+    const onReady = jest.fn();
+    getLogMock();
+    const stdoutWrite = jest.fn();
+    spyOn(process.stdout, 'write').and.callFake(stdoutWrite);
+    sub.on('ready', onReady);
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    expect(fork.mock.calls[0][2].stdio).toEqual(['inherit', 'pipe', 'pipe', 'ipc']);
+    children[0].stdout.write('Starting\n');
+
+    return flushPromises()
+    .then(() => {
+      expect(onReady).not.toHaveBeenCalled();
+      children[0].stdout.write('Server listening on 2509\n');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(onReady).toHaveBeenCalledTimes(1);
+      expect(stdoutWrite).toHaveBeenCalledWith('Starting\n');
+      expect(stdoutWrite).toHaveBeenCalledWith('Server listening on 2509\n');
+      children[0].stdout.write('Tick\n');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(stdoutWrite).toHaveBeenCalledWith('Tick\n');
+      expect(onReady).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('should wait for a port to be reachable', () => {
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    closedPorts = [2509, 2509];
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('app', {
+      ready: {
+        port: 2509,
+        interval: 100,
+      },
+    });
+    const callback = jest.fn();
+    const onReady = jest.fn();
+    getLogMock();
+    sub.on('ready', onReady);
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(onReady).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(100);
+      return flushPromises();
+    })
+    .then(() => {
+      expect(onReady).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(100);
+      return flushPromises();
+    })
+    .then(() => {
+      expect(onReady).toHaveBeenCalledTimes(1);
+      expect(net.connect.mock.calls).toEqual([
+        [2509, 'localhost'],
+        [2509, 'localhost'],
+        [2509, 'localhost'],
+      ]);
+    });
+  });
+
+  it('should wait for a URL to respond', () => {
+    const compilation = {
+      assets: {
+        server: {
+          existsAt: 'server.js',
+        },
+        secure: {
+          existsAt: 'secure.js',
+        },
+      },
+    };
+    httpResponses = [new Error('ECONNREFUSED'), '', ''];
+
+    const compiler = new FakeCompiler();
+    const secureCompiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('server', { ready: { url: 'http://localhost:2509' } });
+    const secureSub = new WebpackNodeUtilsRunner('secure', {
+      ready: { url: 'https://localhost:2510' },
+    });
+    const callback = jest.fn();
+    const onReady = jest.fn();
+    getLogMock();
+    sub.on('ready', onReady);
+    secureSub.on('ready', onReady);
+
+    sub.apply(compiler);
+    secureSub.apply(secureCompiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    secureCompiler.trigger('after-emit', [compilation, callback]);
+    secureCompiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(onReady).toHaveBeenCalledTimes(1);
+      expect(onReady.mock.calls[0][0].entry).toBe('secure');
+      jest.advanceTimersByTime(500);
+      return flushPromises();
+    })
+    .then(() => {
+      expect(onReady).toHaveBeenCalledTimes(2);
+      expect(http.get.mock.calls.length).toBe(2);
+      expect(http.get.mock.calls[0][0]).toBe('http://localhost:2509');
+      expect(https.get.mock.calls.length).toBe(1);
+      expect(https.get.mock.calls[0][0]).toBe('https://localhost:2510');
+    });
+  });
+
+  it('should keep polling if the request to the URL throws an error', () => {
+    const compilation = {
+      assets: {
+        server: {
+          existsAt: 'server.js',
+        },
+      },
+    };
+    httpResponses = [''];
+    http.get.mockImplementationOnce(() => {
+      throw new Error('ERR_INVALID_URL');
+    });
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('server', { ready: { url: 'http://localhost:2509' } });
+    const onReady = jest.fn();
+    getLogMock();
+    sub.on('ready', onReady);
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, jest.fn()]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(onReady).toHaveBeenCalledTimes(0);
+      jest.advanceTimersByTime(500);
+      return flushPromises();
+    })
+    .then(() => {
+      expect(onReady).toHaveBeenCalledTimes(1);
+      expect(http.get.mock.calls.length).toBe(2);
+    });
+  });
+
+  it('should keep polling if the port check fails unexpectedly', () => {
+    const compilation = {
+      assets: {
+        server: {
+          existsAt: 'server.js',
+        },
+      },
+    };
+    net.connect.mockImplementationOnce(() => {
+      throw new Error('ERR_SOCKET_BAD_PORT');
+    });
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('server', { ready: { port: 2509 } });
+    const onReady = jest.fn();
+    getLogMock();
+    sub.on('ready', onReady);
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, jest.fn()]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(onReady).toHaveBeenCalledTimes(0);
+      jest.advanceTimersByTime(500);
+      return flushPromises();
+    })
+    .then(() => {
+      expect(onReady).toHaveBeenCalledTimes(1);
+      expect(net.connect.mock.calls.length).toBe(2);
+    });
+  });
+
+  it('should warn if the process doesn\'t get ready before the timeout', () => {
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('app', {
+      ready: {
+        message: 'ready',
+        timeout: 1000,
+      },
+    });
+    const callback = jest.fn();
+    const onReady = jest.fn();
+    const log = getLogMock();
+    sub.on('ready', onReady);
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    jest.runOnlyPendingTimers();
+
+    return flushPromises()
+    .then(() => {
+      children[0].emit('message', 'ready');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(onReady).not.toHaveBeenCalled();
+      expect(log.mock.calls[log.mock.calls.length - 1][0])
+      .toContain('The bundle process didn\'t get ready after 1000ms');
+    });
+  });
+
+  it('should stop waiting for the process to be ready if it exits', () => {
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    closedPorts = [2509];
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('app', { ready: { port: 2509 } });
+    const callback = jest.fn();
+    const onReady = jest.fn();
+    const log = getLogMock();
+    sub.on('ready', onReady);
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      children[0].emit('exit', 1, null);
+      return flushPromises();
+    })
+    .then(() => {
+      jest.runOnlyPendingTimers();
+      return flushPromises();
+    })
+    .then(() => {
+      expect(onReady).not.toHaveBeenCalled();
+      expect(net.connect.mock.calls.length).toBe(1);
+      expect(log.mock.calls[log.mock.calls.length - 1][0])
+      .toContain('The bundle process exited with code 1');
+    });
+  });
+
+  it('should control the processes with the commands typed on the input', () => {
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+    const stdin = mockStdin();
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('app', { interactive: true });
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    expect(log.mock.calls[3][0]).toContain('Type `rs` to restart');
+    expect(fork.mock.calls[0][2].stdio).toEqual(['ignore', 'inherit', 'inherit', 'ipc']);
+    stdin.write('rs\n');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(2);
+      stdin.write('stop\n');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(forkKill.mock.calls.length).toBe(2);
+      expect(children[1].signalCode).toBe('SIGTERM');
+      stdin.write('\nstart\n');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(3);
+      stdin.write('restart\n');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(log.mock.calls[log.mock.calls.length - 1][0]).toContain(
+        'Unknown command: restart. The available commands are rs, stop, start and entries'
+      );
+      compiler.trigger('watch-close');
+      stdin.write('rs\n');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(3);
+      compiler.trigger('watch-close');
+    });
+  });
+
+  it('should allow the user to switch entries from the input', () => {
+    const compilation = {
+      assets: {
+        server: {
+          existsAt: 'server.js',
+        },
+        worker: {
+          existsAt: 'worker.js',
+        },
+        cli: {
+          existsAt: 'cli.js',
+        },
+      },
+    };
+    const stdin = mockStdin();
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(['server', 'worker'], { interactive: true });
+    const callback = jest.fn();
+    const onEntrySelected = jest.fn();
+    const log = getLogMock();
+    sub.on('entry-selected', onEntrySelected);
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    expect(fork.mock.calls[0][2].stdio).toEqual(['ignore', 'pipe', 'pipe', 'ipc']);
+    log.mockClear();
+    stdin.write('entries\n');
+
+    return flushPromises()
+    .then(() => {
+      expect(log.mock.calls.map(([message]) => message)).toEqual([
+        expect.stringContaining('These are the available entries:'),
+        expect.stringContaining('1) server (selected)'),
+        expect.stringContaining('2) worker (selected)'),
+        expect.stringContaining('3) cli'),
+        expect.stringContaining('Type the name or the number of the entry you want to run'),
+      ]);
+      stdin.write('3\n');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(forkKill.mock.calls.length).toBe(2);
+      expect(fork.mock.calls.length).toBe(3);
+      expect(fork.mock.calls[2][0]).toMatch(/cli\.js$/);
+      expect(onEntrySelected).toHaveBeenLastCalledWith({
+        entry: 'cli',
+        path: expect.stringMatching(/cli\.js$/),
+      });
+      expect(log.mock.calls[log.mock.calls.length - 1][0]).toContain('Starting bundle process');
+      log.mockClear();
+      stdin.write('entries\ncli\n');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(log.mock.calls[log.mock.calls.length - 1][0])
+      .toContain('The entry cli is already selected');
+      stdin.write('server\n');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(log.mock.calls[log.mock.calls.length - 1][0])
+      .toContain('Unknown command: server');
+      stdin.write('entries\nserver\n');
+      return flushPromises();
+    })
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(4);
+      expect(fork.mock.calls[3][0]).toMatch(/server\.js$/);
+    });
+  });
+
+  it('should warn the user if there are no entries to list', () => {
+    const stdin = mockStdin();
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('app', { interactive: true });
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    sub.apply(compiler);
+    stdin.write('entries\n');
+
+    return flushPromises()
+    .then(() => {
+      expect(log.mock.calls.length).toBe(1);
+      expect(log.mock.calls[0][0]).toContain('There are no entries available yet');
+      compiler.trigger('watch-close');
+    });
+  });
+
+  it('should send a signal to the process to apply the hot updates', () => {
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+        '0.a1b2c3.hot-update.js': {
+          existsAt: '0.a1b2c3.hot-update.js',
+        },
+      },
+    };
+    ignoredSignals = ['SIGUSR2'];
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('app', { hot: true });
+    const callback = jest.fn();
+    const onHotUpdate = jest.fn();
+    const onHotUpdateRejected = jest.fn();
+    const log = getLogMock();
+    const stderrWrite = jest.fn();
+    spyOn(process.stderr, 'write').and.callFake(stderrWrite);
+    sub.on('hot-update', onHotUpdate);
+    sub.on('hot-update-rejected', onHotUpdateRejected);
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    expect(fork.mock.calls.length).toBe(1);
+    expect(fork.mock.calls[0][2].stdio).toEqual(['inherit', 'pipe', 'pipe', 'ipc']);
+    expect(forkKill.mock.calls).toEqual([['SIGUSR2']]);
+    expect(log.mock.calls[log.mock.calls.length - 1][0])
+    .toContain('Sending the update to the bundle process');
+    expect(onHotUpdate).toHaveBeenCalledWith({
+      entry: 'app',
+      path: expect.stringMatching(/app\.js$/),
+      pid: children[0].pid,
+    });
+    children[0].stderr.write('[HMR] Update failed: Error\n');
+    children[0].stderr.write('[HMR] Cannot apply update.\n');
+
+    return flushPromises()
+    .then(() => {
+      expect(stderrWrite).toHaveBeenCalledWith('[HMR] Cannot apply update.\n');
+      expect(onHotUpdateRejected).toHaveBeenCalledTimes(1);
+      expect(onHotUpdateRejected).toHaveBeenCalledWith({
+        entry: 'app',
+        path: expect.stringMatching(/app\.js$/),
+        pid: children[0].pid,
+      });
+      expect(log.mock.calls.map(([message]) => message)).toEqual(expect.arrayContaining([
+        expect.stringContaining('The bundle process couldn\'t apply the update, restarting it'),
+      ]));
+      expect(forkKill.mock.calls).toEqual([['SIGUSR2'], ['SIGTERM']]);
+      expect(fork.mock.calls.length).toBe(2);
+    });
+  });
+
+  it('should send a message to the process to apply the hot updates', () => {
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner('app', {
+      hot: 'message',
+      stdio: 'inherit',
+    });
+    const callback = jest.fn();
+    const onHotUpdateRejected = jest.fn();
+    getLogMock();
+    sub.on('hot-update-rejected', onHotUpdateRejected);
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    expect(fork.mock.calls.length).toBe(1);
+    expect(forkKill.mock.calls.length).toBe(0);
+    expect(children[0].send).toHaveBeenCalledWith({
+      type: 'webpack-hot-update',
+      hash: null,
+    });
+    children[0].emit('message', 'something');
+    children[0].emit('message', null);
+    expect(onHotUpdateRejected).not.toHaveBeenCalled();
+    children[0].emit('message', { type: 'webpack-hot-update-rejected' });
+    children[0].emit('message', 'webpack-hot-update-rejected');
+
+    return flushPromises()
+    .then(() => {
+      expect(onHotUpdateRejected).toHaveBeenCalledTimes(1);
+      expect(forkKill.mock.calls).toEqual([['SIGTERM']]);
+      expect(fork.mock.calls.length).toBe(2);
+    });
+  });
+
+  it('should resolve the entries by the names of the entrypoints on every build', () => {
+    const serverChunk = {
+      id: 0,
+      name: 'server',
+      hash: 'abc',
+      files: ['server.abc.js', 'server.abc.js.map'],
+    };
+    const workerChunk = {
+      id: 1,
+      hash: 'def',
+      files: ['worker.def.js'],
+    };
+    const cliChunk = {
+      id: 2,
+      hash: 'ghi',
+      files: ['cli.ghi.js'],
+    };
+    const runtimeChunk = {
+      id: 5,
+      name: 'runtime',
+      hash: 'stu',
+      files: ['runtime.js'],
+    };
+    const getCompilation = () => ({
+      assets: {
+        [serverChunk.files[0]]: {
+          existsAt: `dist/${serverChunk.files[0]}`,
+        },
+        [serverChunk.files[1]]: {
+          existsAt: `dist/${serverChunk.files[1]}`,
+        },
+        [workerChunk.files[0]]: {
+          existsAt: `dist/${workerChunk.files[0]}`,
+        },
+        [cliChunk.files[0]]: {
+          existsAt: `dist/${cliChunk.files[0]}`,
+        },
+        [runtimeChunk.files[0]]: {
+          existsAt: `dist/${runtimeChunk.files[0]}`,
+        },
+      },
+      chunks: [serverChunk, workerChunk, cliChunk, runtimeChunk],
+      entrypoints: new Map([
+        ['server', {
+          chunks: [runtimeChunk, serverChunk],
+          getRuntimeChunk: () => runtimeChunk,
+        }],
+        ['worker', { chunks: [{ id: 3, hash: 'jkl' }, workerChunk] }],
+        ['cli', {
+          chunks: [runtimeChunk, cliChunk],
+          getRuntimeChunk: () => runtimeChunk,
+          getEntrypointChunk: () => cliChunk,
+        }],
+        ['styles', { chunks: [{ id: 4, hash: 'pqr' }] }],
+        ['empty', {}],
+      ]),
+    });
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(['server', 'worker.def.js', 'cli']);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [getCompilation(), callback]);
+    compiler.trigger('done');
+
+    expect(log.mock.calls[1][0]).toContain('Using the following entries: server, worker, cli');
+    expect(fork.mock.calls.length).toBe(3);
+    expect(fork.mock.calls[0][0]).toMatch(/dist\/server\.abc\.js$/);
+    expect(fork.mock.calls[1][0]).toMatch(/dist\/worker\.def\.js$/);
+    expect(fork.mock.calls[2][0]).toMatch(/dist\/cli\.ghi\.js$/);
+
+    serverChunk.hash = 'mno';
+    serverChunk.files = ['server.mno.js'];
+    compiler.trigger('compile');
+    compiler.trigger('after-emit', [getCompilation(), callback]);
+    compiler.trigger('done');
+
+    return flushPromises()
+    .then(() => {
+      expect(fork.mock.calls.length).toBe(4);
+      expect(fork.mock.calls[3][0]).toMatch(/dist\/server\.mno\.js$/);
+    });
+  });
+
+  it('should select the entries using a function', () => {
+    const compilation = {
+      assets: {
+        'server.js': {
+          existsAt: 'dist/server.js',
+        },
+        'worker.js': {
+          existsAt: 'dist/worker.js',
+        },
+        'cli.js': {
+          existsAt: 'dist/cli.js',
+        },
+      },
+      entrypoints: {
+        server: { chunks: [{ files: ['server.js'] }] },
+        worker: { chunks: [{ files: ['worker.js'] }] },
+        cli: { chunks: [{ files: ['cli.js'] }] },
+      },
+    };
+    const filter = jest.fn((entry) => entry !== 'cli');
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(filter);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    expect(filter).toHaveBeenCalledTimes(3);
+    expect(filter).toHaveBeenCalledWith('server', expect.stringMatching(/dist\/server\.js$/));
+    expect(log.mock.calls[1][0]).toContain('Using the following entries: server, worker');
+    expect(fork.mock.calls.length).toBe(2);
+  });
+
+  it('should log an error if the function doesn\'t match any entry', () => {
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(() => false);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+
+    expect(log.mock.calls.length).toBe(3);
+    expect(log.mock.calls[1][0]).toContain('None of the available entries matched the function');
+    expect(log.mock.calls[2][0]).toContain('These are the available entries: app');
+    expect(fork.mock.calls.length).toBe(0);
+  });
+
+  it('should warn if a selected entry is not on a new build', () => {
+    const compilation = {
+      assets: {
+        app: {
+          existsAt: 'app.js',
+        },
+      },
+    };
+
+    const compiler = new FakeCompiler();
+    const sub = new WebpackNodeUtilsRunner(['app', 'app']);
+    const callback = jest.fn();
+    const log = getLogMock();
+
+    sub.apply(compiler);
+    compiler.trigger('after-emit', [compilation, callback]);
+    compiler.trigger('done');
+    compiler.trigger('compile');
+    compiler.trigger('after-emit', [{ assets: {} }, callback]);
+
+    expect(log.mock.calls[1][0]).toContain('Using the following entry: app');
+    expect(log.mock.calls[log.mock.calls.length - 1][0])
+    .toContain('The entry app is not on the build anymore');
+  });
 });